@@ -0,0 +1,52 @@
+// Transactional email settings
+const email = {
+  // How queued email is delivered: 'smtp', or 'json' to append each message
+  // to jsonFile instead of sending it (development and tests)
+  transport: process.env.EMAIL_TRANSPORT || 'smtp',
+
+  smtp: {
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+    // true for port 465 (TLS from the start), false to upgrade with STARTTLS
+    secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : parseInt(process.env.EMAIL_PORT, 10) === 465,
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  },
+
+  jsonFile: process.env.EMAIL_JSON_FILE || 'logs/emails.jsonl',
+
+  from: `${process.env.EMAIL_FROM_NAME || 'Authentication Service'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost'}>`,
+
+  // Outbox worker: polls for due messages and retries failures with
+  // exponential backoff (retryBaseSeconds * 2^(attempt - 1), capped at
+  // retryMaxSeconds). After maxAttempts a message is marked dead.
+  outbox: {
+    workerEnabled: process.env.EMAIL_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10) || 5000,
+    batchSize: 20,
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8,
+    retryBaseSeconds: 30,
+    retryMaxSeconds: 6 * 60 * 60,
+    // A message stuck in sending this long (e.g. the worker crashed) is retried
+    lockSeconds: 120
+  },
+
+  // Name used in email footers
+  storeName: process.env.STORE_NAME || process.env.INVOICE_SELLER_NAME || 'Our Store',
+
+  // Frontend page for a single order; :orderId is replaced with the order number
+  orderUrl: process.env.EMAIL_ORDER_URL || '/orders/:orderId',
+
+  // Order emails keyed by event. Essential emails (receipts, cancellations,
+  // refunds) are always sent; the rest are skipped for users who opted out.
+  orderEvents: {
+    placed: { template: 'order-placed', essential: true },
+    paid: { template: 'payment-received', essential: true },
+    shipped: { template: 'order-shipped', essential: false },
+    delivered: { template: 'order-delivered', essential: false },
+    cancelled: { template: 'order-cancelled', essential: true },
+    refunded: { template: 'order-refunded', essential: true }
+  }
+};
+
+module.exports = email;
@@ -0,0 +1,18 @@
+// Invoice settings
+const invoice = {
+  // Invoice numbers look like INV-00000042 (one sequence for all orders)
+  prefix: process.env.INVOICE_PREFIX || 'INV',
+
+  // Prices include tax; the invoice shows the tax contained in the total
+  taxRate: parseFloat(process.env.INVOICE_TAX_RATE) || 0,
+  taxLabel: process.env.INVOICE_TAX_LABEL || 'GST',
+
+  // Seller details printed on every invoice
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || 'Our Store',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    taxId: process.env.INVOICE_SELLER_TAX_ID || ''
+  }
+};
+
+module.exports = invoice;
@@ -0,0 +1,23 @@
+// Order and inventory settings
+const orders = {
+  // Order numbers look like ORD-20240131-00042 (prefix, UTC date, daily sequence)
+  orderIdPrefix: process.env.ORDER_ID_PREFIX || 'ORD',
+
+  // Flat shipping charge per order, waived at or above freeShippingThreshold
+  shippingFee: parseFloat(process.env.SHIPPING_FEE) || 0,
+  freeShippingThreshold: process.env.FREE_SHIPPING_THRESHOLD ? parseFloat(process.env.FREE_SHIPPING_THRESHOLD) : null,
+
+  // Default low stock level for products without their own threshold
+  lowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5,
+
+  // Days after delivery during which a customer can request a return
+  returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30,
+
+  // Return numbers look like RMA-20240131-00042
+  returnIdPrefix: process.env.RETURN_ID_PREFIX || 'RMA',
+
+  // Photos per return request
+  maxReturnPhotos: 5
+};
+
+module.exports = orders;
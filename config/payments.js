@@ -0,0 +1,20 @@
+// Payment provider settings
+const payments = {
+  // Providers customers can choose as paymentMethod, comma separated.
+  // mock_card is for development only and is never available in production.
+  enabledProviders: (process.env.PAYMENT_PROVIDERS || 'cod')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+
+  currency: process.env.PAYMENT_CURRENCY || 'INR',
+
+  // Shared secret used to sign mock card webhooks (X-Mock-Signature header).
+  // Required for mock_card; there is no default.
+  mockCardWebhookSecret: process.env.MOCK_CARD_WEBHOOK_SECRET || null,
+
+  // Reject webhooks whose signature timestamp is older than this
+  webhookToleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300
+};
+
+module.exports = payments;
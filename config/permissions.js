@@ -0,0 +1,64 @@
+// Permissions that can be granted to roles. "*" grants everything and
+// "<resource>:*" grants every action on a resource.
+const PERMISSIONS = {
+  'users:read': 'List and view user accounts',
+  'users:write': 'Create and update user accounts, assign roles',
+  'users:delete': 'Delete user accounts',
+  'roles:manage': 'Create, update and delete roles',
+  'catalog:write': 'Create, update and delete products, categories, media and other catalog content',
+  'orders:read': 'View any customer order',
+  'orders:update-status': 'Change order status',
+  'orders:delete': 'Permanently delete orders',
+  'coupons:manage': 'Create, update and delete coupons',
+  'payments:manage': 'Capture and refund payments',
+  'returns:manage': 'Review, approve, reject and receive return requests',
+  'emails:manage': 'Inspect the email outbox and resend failed emails',
+  'contacts:read': 'List and view contact form submissions',
+  'contacts:write': 'Update and delete contact form submissions'
+};
+
+// Built-in roles, created on startup if missing. System roles cannot be deleted.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: ['*']
+  },
+  {
+    name: 'user',
+    description: 'Customer account',
+    permissions: []
+  },
+  {
+    name: 'catalog-editor',
+    description: 'Maintains products, categories and storefront content',
+    permissions: ['catalog:write']
+  },
+  {
+    name: 'fulfillment',
+    description: 'Processes and ships orders',
+    permissions: ['orders:read', 'orders:update-status', 'payments:manage', 'returns:manage']
+  },
+  {
+    name: 'support',
+    description: 'Handles customer enquiries',
+    permissions: ['contacts:read', 'contacts:write', 'emails:manage', 'orders:read', 'returns:manage', 'users:read']
+  }
+];
+
+// Whether a granted permission list covers the required permission
+const permissionMatches = (granted, required) => {
+  return granted.some(permission => {
+    if (permission === '*' || permission === required) {
+      return true;
+    }
+
+    return permission.endsWith(':*') && required.startsWith(permission.slice(0, -1));
+  });
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  permissionMatches
+};
@@ -0,0 +1,34 @@
+// Catalog search settings
+const search = {
+  // Share of the query's trigrams a product name or category must contain
+  // to count as a fuzzy match (0-1, higher is stricter)
+  trigramThreshold: parseFloat(process.env.SEARCH_TRIGRAM_THRESHOLD) || 0.5,
+
+  // Most matches ranked per item type; facets and pages cover these
+  maxCandidates: parseInt(process.env.SEARCH_MAX_CANDIDATES, 10) || 500,
+
+  // Upper bounds of the price facet buckets; the last bucket is open ended
+  priceBuckets: (process.env.SEARCH_PRICE_BUCKETS || '500,1000,2000,5000')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => !Number.isNaN(value))
+    .sort((a, b) => a - b),
+
+  maxQueryLength: 100,
+
+  // Autocomplete (GET /api/products/suggest)
+  suggest: {
+    // Entries returned per group (products, categories, queries)
+    limit: 5,
+    // Abandon a lookup that takes longer than this
+    maxTimeMs: parseInt(process.env.SUGGEST_MAX_TIME_MS, 10) || 200,
+    // A past query is only suggested once this many searches found results,
+    // so one-off (possibly personal) queries are never shown to others
+    minQueryCount: parseInt(process.env.SUGGEST_MIN_QUERY_COUNT, 10) || 3,
+    minQueryLength: 2,
+    // Browsers and CDNs may reuse a response for this long
+    cacheSeconds: 60
+  }
+};
+
+module.exports = search;
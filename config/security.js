@@ -0,0 +1,63 @@
+// Authentication and password security settings
+const security = {
+  // bcrypt cost factor used when hashing passwords
+  bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12,
+
+  // Lifetime of the JWT access token (jsonwebtoken "expiresIn" format)
+  accessTokenExpire: process.env.JWT_ACCESS_EXPIRE || '15m',
+
+  // Lifetime of a refresh token in days
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30,
+
+  // Lifetime of an email verification link in hours
+  verificationTokenExpireHours: parseInt(process.env.VERIFICATION_TOKEN_EXPIRE_HOURS, 10) || 24,
+
+  // Minimum wait before another verification email can be requested
+  verificationResendCooldownSeconds: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60,
+
+  // Failed logins allowed before an account is locked, and for how long
+  maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+
+  // Roles that must enroll in TOTP two-factor authentication (comma separated)
+  twoFactorRequiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+
+  // Issuer shown in authenticator apps
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'E-commerce API',
+
+  // Lifetime of the login challenge token issued after the password step
+  twoFactorChallengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+
+  twoFactorRecoveryCodeCount: 10,
+
+  // Per-IP sliding window limits for unauthenticated auth endpoints
+  rateLimits: {
+    login: {
+      windowMs: 15 * 60 * 1000,
+      max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20
+    },
+    forgotPassword: {
+      windowMs: 60 * 60 * 1000,
+      max: parseInt(process.env.FORGOT_PASSWORD_RATE_LIMIT_MAX, 10) || 5
+    },
+    register: {
+      windowMs: 60 * 60 * 1000,
+      max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX, 10) || 10
+    },
+    twoFactor: {
+      windowMs: 15 * 60 * 1000,
+      max: parseInt(process.env.TWO_FACTOR_RATE_LIMIT_MAX, 10) || 10
+    }
+  },
+
+  // Frontend base URL used to build password reset links
+  frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+  // Development only: log emailed links instead of sending them
+  logEmailLinks: process.env.NODE_ENV !== 'production' && process.env.EMAIL_LOG_LINKS === 'true'
+};
+
+module.exports = security;
@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const cloudinary = require('../config/cloudinary');
+const { listQuery, CATALOG_SORTS, PRICE_FILTERS } = require('../utils/listQuery');
 
 // Helper function to extract public_id from Cloudinary URL
 const getPublicIdFromUrl = (url) => {
@@ -30,15 +31,22 @@ const transformProductImages = (productObj) => {
   }
 };
 
-// @desc    Get all accessories
+// Query parameters accepted by GET /api/accessories (see utils/listQuery.js)
+const ACCESSORY_LIST = {
+  filters: PRICE_FILTERS,
+  sorts: CATALOG_SORTS,
+  defaultSort: 'newest'
+};
+
+// @desc    Get accessories, filtered, sorted and paginated
 // @route   GET /api/accessories
 // @access  Public
 exports.getAccessories = async (req, res, next) => {
   try {
-    const accessories = await Accessory.find().sort({ createdAt: -1 });
+    const { items, pagination } = await listQuery(Accessory, req.query, ACCESSORY_LIST);
 
     // Ensure images field is an array in response
-    const accessoriesWithImages = accessories.map(accessory => {
+    const accessoriesWithImages = items.map(accessory => {
       const accessoryObj = accessory.toObject();
       accessoryObj.images = transformProductImages(accessoryObj);
       return accessoryObj;
@@ -47,10 +55,11 @@ exports.getAccessories = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: accessoriesWithImages.length,
-      data: accessoriesWithImages
+      data: accessoriesWithImages,
+      pagination
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
@@ -84,7 +93,7 @@ exports.getAccessory = async (req, res, next) => {
 
 // @desc    Create new accessory with image upload
 // @route   POST /api/accessories
-// @access  Public
+// @access  Private/Admin
 exports.createAccessory = async (req, res, next) => {
   
   try {
@@ -135,7 +144,7 @@ exports.createAccessory = async (req, res, next) => {
 
 // @desc    Update accessory
 // @route   POST /api/accessories/update/:id
-// @access  Public
+// @access  Private/Admin
 exports.updateAccessory = async (req, res, next) => {
   try {
     const { name, price } = req.body;
@@ -218,7 +227,7 @@ exports.updateAccessory = async (req, res, next) => {
 
 // @desc    Delete accessory
 // @route   POST /api/accessories/delete/:id
-// @access  Public
+// @access  Private/Admin
 exports.deleteAccessory = async (req, res, next) => {
   try {
     const accessory = await Accessory.findById(req.params.id);
@@ -1,22 +1,41 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { sendEmail, emailTemplates } = require('../utils/sendEmail');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const security = require('../config/security');
+const logger = require('../utils/logger');
+const totp = require('../utils/totp');
+const { emailTemplates } = require('../utils/sendEmail');
+const { queueEmail } = require('../utils/emailOutbox');
+
+// Generate a short-lived JWT access token and a rotating refresh token.
+// When rotating, pass the refresh token being replaced to keep the same session.
+// `extra` fields are merged into the JSON body.
+const sendTokenResponse = async (user, statusCode, req, res, { rotatedToken, extra } = {}) => {
+  const { token: refreshToken, doc: refreshTokenDoc } = await RefreshToken.issue(user._id, {
+    family: rotatedToken && rotatedToken.family,
+    expiresInDays: security.refreshTokenExpireDays,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
 
-// Generate JWT Token
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token with user verification status
+  // Create token with user verification status and session (token family) id
   const token = jwt.sign({ 
     id: user._id,
-    isVerified: user.isVerified 
+    isVerified: user.isVerified,
+    sid: refreshTokenDoc.family
   }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+    expiresIn: security.accessTokenExpire,
   });
 
+  if (rotatedToken) {
+    rotatedToken.replacedBy = refreshTokenDoc._id.toString();
+    await rotatedToken.save();
+  }
+
   const options = {
-    expires: new Date(
-      Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
-    ),
+    expires: refreshTokenDoc.expiresAt,
     httpOnly: true,
   };
 
@@ -30,17 +49,110 @@ const sendTokenResponse = (user, statusCode, res) => {
     .json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
         isVerified: user.isVerified,
-        role: user.role
-      }
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled
+      },
+      ...extra
     });
 };
 
+// Issue a short-lived challenge token for the second login step.
+// purpose is '2fa' (enter a code) or '2fa-setup' (role requires enrollment first).
+const sendTwoFactorChallenge = (user, res, purpose) => {
+  const challengeToken = jwt.sign({
+    id: user._id,
+    purpose
+  }, process.env.JWT_SECRET, {
+    expiresIn: security.twoFactorChallengeExpire,
+  });
+
+  res.status(200).json({
+    success: true,
+    twoFactorRequired: purpose === '2fa',
+    twoFactorSetupRequired: purpose === '2fa-setup',
+    challengeToken
+  });
+};
+
+// Finish a password-based login: ask for a second factor when the user has
+// one (or their role requires one), otherwise hand out tokens.
+const completeLogin = async (user, statusCode, req, res) => {
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(user, res, '2fa');
+  }
+
+  if (user.requiresTwoFactor()) {
+    return sendTwoFactorChallenge(user, res, '2fa-setup');
+  }
+
+  await sendTokenResponse(user, statusCode, req, res);
+};
+
+// Check a TOTP code against the user's secret and record its time step.
+// The step is claimed in a single update so a replayed code, even one sent
+// concurrently, is rejected.
+const checkTwoFactorCode = async (user, code) => {
+  const step = totp.verifyCode(user.twoFactorSecret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastStep: { $exists: false } },
+        { twoFactorLastStep: { $lt: step } }
+      ]
+    },
+    { twoFactorLastStep: step }
+  );
+
+  return Boolean(claimed);
+};
+
+// Queue a templated message to the user. Messages with a link carry a
+// token, so they are marked sensitive in the outbox.
+// In development the email (and its link) can be logged instead of sent (EMAIL_LOG_LINKS=true).
+const sendUserEmail = async (user, template, link) => {
+  if (security.logEmailLinks) {
+    logger.info(`[email disabled] ${template.subject} for ${user.email}${link ? `: ${link}` : ''}`);
+    return;
+  }
+
+  await queueEmail({
+    email: user.email,
+    subject: template.subject,
+    message: template.message,
+    html: template.html,
+    template: 'account',
+    sensitive: Boolean(link)
+  });
+};
+
+// Create a verification token for the user and email them the verify link
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.getVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/auth/verify/${verificationToken}`;
+  const template = emailTemplates.emailVerification(
+    verifyUrl,
+    user.firstName,
+    security.verificationTokenExpireHours
+  );
+
+  await sendUserEmail(user, template, verifyUrl);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public for user, Private for admin
@@ -58,25 +170,22 @@ exports.register = async (req, res, next) => {
     // Default role to 'user' if not provided
     const userRole = role || 'user';
 
-    // If registering as admin, check if requester is authenticated and is admin
-    if (userRole === 'admin') {
-      // Check if there are any existing admins
-      const existingAdmin = await User.findOne({ role: 'admin' });
+    // Any role other than 'user' must be granted by an authenticated user allowed to assign it
+    if (userRole !== 'user') {
+      // Allow first admin registration without authentication
+      // This bypasses the restriction for the initial admin setup
+      const isInitialAdmin = userRole === 'admin' && !(await User.exists({ role: 'admin' }));
 
-      if (!existingAdmin) {
-        // Allow first admin registration without authentication
-        // This bypasses the restriction for the initial admin setup
-      } else {
+      if (!isInitialAdmin) {
         // Check if user is authenticated (req.user exists from protect middleware)
         if (!req.user) {
-          const error = new Error('Authentication required to register as admin');
+          const error = new Error(`Authentication required to register as ${userRole}`);
           error.statusCode = 401;
           return next(error);
         }
 
-        // Check if the authenticated user is admin
-        if (req.user.role !== 'admin') {
-          const error = new Error('Only admins can register other admins');
+        if (!(await Role.canAssign(req.user, userRole))) {
+          const error = new Error(`Not authorized to assign role ${userRole}`);
           error.statusCode = 403;
           return next(error);
         }
@@ -92,7 +201,15 @@ exports.register = async (req, res, next) => {
       role: userRole,
     });
 
-    sendTokenResponse(user, 201, res);
+    // Registration still succeeds if the mail server is unavailable;
+    // the user can request a new link through /api/auth/verify/resend
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (emailError) {
+      logger.error(`Failed to send verification email to user ${user._id}`, emailError);
+    }
+
+    await completeLogin(user, 201, req, res);
   } catch (error) {
     if (error.code === 11000) {
       const err = new Error('User already exists with this email');
@@ -120,11 +237,26 @@ exports.login = async (req, res, next) => {
     }
 
     // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+password +failedLoginAttempts +lockUntil');
 
-    if (!user) {
+    // Use one message for unknown emails and wrong passwords so accounts cannot be enumerated
+    const invalidCredentials = () => {
       const error = new Error('Invalid credentials');
       error.statusCode = 401;
+      return error;
+    };
+
+    if (!user) {
+      return next(invalidCredentials());
+    }
+
+    if (user.isLocked()) {
+      const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+
+      const error = new Error('Too many failed login attempts. Please try again later');
+      error.statusCode = 429;
       return next(error);
     }
 
@@ -132,12 +264,16 @@ exports.login = async (req, res, next) => {
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
-      const error = new Error('Password is wrong');
-      error.statusCode = 401;
-      return next(error);
+      await user.registerFailedLogin();
+      return next(invalidCredentials());
     }
 
-    sendTokenResponse(user, 200, res);
+    await user.resetLoginAttempts();
+
+    // Re-hash accounts still stored in plain text
+    await user.rehashPassword();
+
+    await completeLogin(user, 200, req, res);
   } catch (error) {
     error.statusCode = 400;
     next(error);
@@ -149,7 +285,7 @@ exports.login = async (req, res, next) => {
 // @access  Private
 exports.getMe = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -161,6 +297,52 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
+// @desc    Opt out of non-essential email using the link from an email
+// @route   POST /api/auth/unsubscribe
+// @access  Public (requires unsubscribe token)
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      const error = new Error('Please provide the unsubscribe token');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'unsubscribe') {
+      const error = new Error('Invalid unsubscribe token');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const user = await User.findByIdAndUpdate(decoded.id, { emailOptOut: true });
+
+    if (!user) {
+      const error = new Error('Invalid unsubscribe token');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    logger.info(`User ${user._id} unsubscribed from non-essential email`);
+
+    res.status(200).json({
+      success: true,
+      message: 'You will no longer receive order update emails'
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgotpassword
 // @access  Public
@@ -168,12 +350,22 @@ exports.forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    const user = await User.findOne({ email });
+    if (!email) {
+      const error = new Error('Please provide an email');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
 
     if (!user) {
-      const error = new Error('No user found with this email');
-      error.statusCode = 404;
-      return next(error);
+      return res.status(200).json(genericResponse);
     }
 
     // Get reset token
@@ -188,15 +380,21 @@ exports.forgotPassword = async (req, res, next) => {
     // Set expire
     user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
 
-    await user.save();
+    await user.save({ validateBeforeSave: false });
 
-    // Return reset token in response instead of sending email
-    res.status(200).json({
-      success: true,
-      message: 'Reset token generated successfully',
-      resetToken: resetToken, // Return the plain token for testing
-      expiresIn: '10 minutes'
-    });
+    const resetUrl = `${security.frontendUrl}/reset-password/${resetToken}`;
+
+    try {
+      await sendUserEmail(user, emailTemplates.passwordResetRequest(resetUrl, user.firstName), resetUrl);
+    } catch (emailError) {
+      logger.error(`Failed to send password reset email to user ${user._id}`, emailError);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
   } catch (error) {
     error.statusCode = 400;
     next(error);
@@ -231,8 +429,18 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Skip sending confirmation email to avoid using EMAIL_USER/EMAIL_PASS
-    sendTokenResponse(user, 200, res);
+    // Sign out every existing session for this account
+    await RefreshToken.revokeAllForUser(user._id, 'password-reset');
+
+    const template = emailTemplates.passwordResetSuccess(user.firstName);
+
+    try {
+      await sendUserEmail(user, template);
+    } catch (emailError) {
+      logger.error(`Failed to send password reset confirmation to user ${user._id}`, emailError);
+    }
+
+    await completeLogin(user, 200, req, res);
   } catch (error) {
     error.statusCode = 400;
     next(error);
@@ -245,11 +453,17 @@ exports.resetPassword = async (req, res, next) => {
 // @access  Private
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { firstName, lastName, password } = req.body;
+    const { firstName, lastName, password, emailOptOut } = req.body;
 
     // Validate at least one field is provided
-    if (!firstName && !lastName && !password) {
-      const error = new Error('Please provide firstName, lastName, or password to update');
+    if (!firstName && !lastName && !password && emailOptOut === undefined) {
+      const error = new Error('Please provide firstName, lastName, password, or emailOptOut to update');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (emailOptOut !== undefined && typeof emailOptOut !== 'boolean') {
+      const error = new Error('emailOptOut must be true or false');
       error.statusCode = 400;
       return next(error);
     }
@@ -261,6 +475,7 @@ exports.updateProfile = async (req, res, next) => {
     if (password) {
       updateFields.password = password;
     }
+    if (emailOptOut !== undefined) updateFields.emailOptOut = emailOptOut;
 
     // Update user
     const user = await User.findByIdAndUpdate(
@@ -270,7 +485,7 @@ exports.updateProfile = async (req, res, next) => {
         new: true,
         runValidators: true
       }
-    ).select('+password');
+    );
 
     if (!user) {
       const error = new Error('User not found');
@@ -294,19 +509,161 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
-// @desc    Log user out / clear cookie
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const verificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      verificationToken,
+      verificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      const error = new Error('Invalid or expired verification token');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      const error = new Error('Email is already verified');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const cooldownMs = security.verificationResendCooldownSeconds * 1000;
+
+    if (user.verificationSentAt && Date.now() - user.verificationSentAt.getTime() < cooldownMs) {
+      const retryAfter = Math.ceil((user.verificationSentAt.getTime() + cooldownMs - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+
+      const error = new Error(`Please wait ${retryAfter} seconds before requesting another verification email`);
+      error.statusCode = 429;
+      return next(error);
+    }
+
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (emailError) {
+      logger.error(`Failed to send verification email to user ${user._id}`, emailError);
+      const error = new Error('Verification email could not be sent');
+      error.statusCode = 500;
+      return next(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Log user out / revoke refresh token and clear cookie
 // @route   GET /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+  try {
+    await RefreshToken.revokeFamily(req.sessionId, 'logout');
 
-  res.status(200).json({
-    success: true,
-    message: 'User logged out successfully'
-  });
+    res.cookie('token', 'none', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out successfully'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      const error = new Error('Please provide a refresh token');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(refreshToken)
+    });
+
+    if (!storedToken || storedToken.revokedAt || storedToken.expiresAt <= Date.now()) {
+      const error = new Error('Invalid or expired refresh token');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    // Mark the token as rotated; only one request can win this update
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, rotatedAt: null, revokedAt: null },
+      { rotatedAt: new Date() },
+      { new: true }
+    );
+
+    // A token that was already rotated is being replayed: kill the whole session
+    if (!claimed) {
+      await RefreshToken.revokeFamily(storedToken.family, 'reuse');
+      logger.warn(`Refresh token reuse detected for user ${storedToken.user}, family ${storedToken.family} revoked`);
+
+      const error = new Error('Refresh token reuse detected, session revoked');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (!user) {
+      await RefreshToken.revokeFamily(storedToken.family, 'admin');
+      const error = new Error('Invalid or expired refresh token');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    await sendTokenResponse(user, 200, req, res, { rotatedToken: claimed });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
 };
 
 // @desc    Create user by admin
@@ -326,6 +683,12 @@ exports.createUserByAdmin = async (req, res, next) => {
     // Default role to 'user' if not provided
     const userRole = role || 'user';
 
+    if (!(await Role.canAssign(req.user, userRole))) {
+      const error = new Error(`Not authorized to assign role ${userRole}`);
+      error.statusCode = 403;
+      return next(error);
+    }
+
     // Create user
     const user = await User.create({
       firstName,
@@ -335,8 +698,8 @@ exports.createUserByAdmin = async (req, res, next) => {
       role: userRole,
     });
 
-    // Fetch user with password for response
-    const userResponse = await User.findById(user._id).select('+password');
+    // Fetch the created user for the response (without the password)
+    const userResponse = await User.findById(user._id);
 
     res.status(201).json({
       success: true,
@@ -359,7 +722,7 @@ exports.createUserByAdmin = async (req, res, next) => {
 // @access  Private/Admin
 exports.getAllUsers = async (req, res, next) => {
   try {
-    const users = await User.find().select('+password');
+    const users = await User.find();
 
     res.status(200).json({
       success: true,
@@ -389,6 +752,12 @@ exports.updateUserById = async (req, res, next) => {
     if (password !== undefined) updateFields.password = password;
     if (role !== undefined) updateFields.role = role;
 
+    if (role !== undefined && !(await Role.canAssign(req.user, role))) {
+      const error = new Error(`Not authorized to assign role ${role}`);
+      error.statusCode = 403;
+      return next(error);
+    }
+
     // Validate at least one field is provided
     if (Object.keys(updateFields).length === 0) {
       const error = new Error('Please provide at least one field to update');
@@ -396,6 +765,15 @@ exports.updateUserById = async (req, res, next) => {
       return next(error);
     }
 
+    // Only accounts whose role the requester could assign may be edited
+    const targetUser = await User.findById(req.params.id).select('role');
+
+    if (targetUser && !(await Role.canAssign(req.user, targetUser.role))) {
+      const error = new Error('Not authorized to modify this user');
+      error.statusCode = 403;
+      return next(error);
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       updateFields,
@@ -403,7 +781,7 @@ exports.updateUserById = async (req, res, next) => {
         new: true,
         runValidators: true
       }
-    ).select('+password');
+    );
 
     if (!user) {
       const error = new Error('User not found');
@@ -447,7 +825,14 @@ exports.deleteUserById = async (req, res, next) => {
       return next(error);
     }
 
+    if (!(await Role.canAssign(req.user, user.role))) {
+      const error = new Error('Not authorized to delete this user');
+      error.statusCode = 403;
+      return next(error);
+    }
+
     await User.findByIdAndDelete(req.params.id);
+    await RefreshToken.revokeAllForUser(req.params.id, 'admin');
 
     res.status(200).json({
       success: true,
@@ -457,4 +842,276 @@ exports.deleteUserById = async (req, res, next) => {
     error.statusCode = 400;
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Hash all passwords still stored in plain text
+// @route   POST /api/auth/users/migrate-passwords
+// @access  Private/Admin
+exports.migratePasswords = async (req, res, next) => {
+  try {
+    const users = await User.find({
+      password: { $not: /^\$2[aby]\$/ }
+    }).select('+password');
+
+    let migrated = 0;
+
+    for (const user of users) {
+      if (await user.rehashPassword()) {
+        migrated++;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Password migration completed',
+      migrated
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires challenge token from login)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      const error = new Error('Please provide a challengeToken and a code or recoveryCode');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      const error = new Error('Invalid or expired challenge token');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +failedLoginAttempts +lockUntil');
+
+    if (!user || !user.twoFactorEnabled) {
+      const error = new Error('Invalid or expired challenge token');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    if (user.isLocked()) {
+      const error = new Error('Too many failed login attempts. Please try again later');
+      error.statusCode = 429;
+      return next(error);
+    }
+
+    const isValid = code
+      ? await checkTwoFactorCode(user, code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      await user.registerFailedLogin();
+      const error = new Error('Invalid two-factor code');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    await user.resetLoginAttempts();
+
+    await sendTokenResponse(user, 200, req, res, {
+      extra: recoveryCode ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length } : {}
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2fa-setup challenge token)
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: totp.keyUri(secret, user.email, security.twoFactorIssuer)
+      }
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2fa-setup challenge token)
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      const error = new Error('Please provide a code');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      const error = new Error('Please start two-factor setup first');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+
+    if (!(await checkTwoFactorCode(user, code))) {
+      const error = new Error('Invalid two-factor code');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorPendingSecret = undefined;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for user ${user._id}`);
+
+    // Enrollment forced at login: finish the login now
+    if (req.twoFactorSetupChallenge) {
+      return await sendTokenResponse(user, 200, req, res, { extra: { recoveryCodes } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      const error = new Error('Please provide your password and a code');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret');
+
+    if (user.requiresTwoFactor()) {
+      const error = new Error(`Two-factor authentication is required for role ${user.role}`);
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    if (!user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (!(await user.matchPassword(password)) || !(await checkTwoFactorCode(user, code))) {
+      const error = new Error('Invalid password or two-factor code');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication disabled for user ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      const error = new Error('Please provide a code');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (!(await checkTwoFactorCode(user, code))) {
+      const error = new Error('Invalid two-factor code');
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
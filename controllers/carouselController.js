@@ -35,7 +35,7 @@ const carouselImages = await Carousel.find()
 
 // @desc    Add carousel image (upload image)
 // @route   POST /api/carousel
-// @access  Public
+// @access  Private/Admin
 exports.addCarouselImage = async (req, res, next) => {
   try {
     // Check if file was uploaded
@@ -80,7 +80,7 @@ exports.addCarouselImage = async (req, res, next) => {
 
 // @desc    Update carousel image
 // @route   POST /api/carousel/update
-// @access  Public
+// @access  Private/Admin
 exports.updateCarouselImage = async (req, res, next) => {
   try {
     const carouselImage = await Carousel.findById(req.body.id);
@@ -135,7 +135,7 @@ exports.updateCarouselImage = async (req, res, next) => {
 
 // @desc    Delete carousel image
 // @route   POST /api/carousel/delete
-// @access  Public
+// @access  Private/Admin
 exports.deleteCarouselImage = async (req, res, next) => {
   try {
     const carouselImage = await Carousel.findById(req.body.id);
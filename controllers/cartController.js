@@ -0,0 +1,396 @@
+const Cart = require('../models/Cart');
+const { placeOrder, ITEM_MODELS } = require('../utils/placeOrder');
+const { findVariant, resolveVariant, variantPrice } = require('../utils/variants');
+const { sendOrderEmail } = require('../utils/orderEmails');
+const logger = require('../utils/logger');
+
+// Find the user's cart, or an empty unsaved one
+const findCart = async (userId) => {
+  const cart = await Cart.findOne({ user: userId });
+  return cart || new Cart({ user: userId, items: [] });
+};
+
+// Tracked stock for a product variant, or null if it is not tracked
+// (accessories have no variant and are never tracked)
+const availableStock = (variant) => (
+  variant && typeof variant.stock === 'number' ? variant.stock : null
+);
+
+const sameVariant = (a, b) => String(a || '') === String(b || '');
+
+// How long a checkout holds the cart before another request may take it over
+// (the first request having died)
+const CHECKOUT_CLAIM_MS = 2 * 60 * 1000;
+
+// Mark the user's cart as being checked out. Returns the claimed cart, or
+// null if another checkout of it is in progress.
+const claimCart = async (userId) => {
+  const cart = await Cart.findOneAndUpdate(
+    {
+      user: userId,
+      $or: [
+        { checkingOutAt: { $exists: false } },
+        { checkingOutAt: { $lt: new Date(Date.now() - CHECKOUT_CLAIM_MS) } }
+      ]
+    },
+    { checkingOutAt: new Date() },
+    { new: true }
+  );
+
+  if (cart) {
+    return cart;
+  }
+
+  // No cart yet is just an empty cart
+  return (await Cart.exists({ user: userId })) ? null : new Cart({ user: userId, items: [] });
+};
+
+const releaseCart = (cart) => Cart.updateOne(
+  { _id: cart._id, checkingOutAt: cart.checkingOutAt },
+  { $unset: { checkingOutAt: 1 } }
+);
+
+// Variant details shown on a cart line
+const variantView = (variant) => variant && {
+  _id: variant._id,
+  sku: variant.sku,
+  size: variant.size,
+  options: Object.fromEntries(variant.options || [])
+};
+
+// Re-price every line from the catalog. Lines whose item has been deleted are
+// dropped from the cart; stock and price changes are reported as warnings.
+const buildCartView = async (cart) => {
+  const items = [];
+  const warnings = [];
+  const removed = [];
+  let subtotal = 0;
+
+  for (const line of cart.items) {
+    const Model = ITEM_MODELS[line.itemType];
+    const doc = Model ? await Model.findById(line.item).select('name price image variants') : null;
+    const variant = doc && line.itemType === 'Product' ? findVariant(doc, line.variant) : null;
+
+    if (!doc || (line.itemType === 'Product' && !variant)) {
+      removed.push(line._id);
+      warnings.push({
+        type: 'removed',
+        itemId: line.item,
+        message: `${line.itemType} is no longer available and was removed from your cart`
+      });
+      continue;
+    }
+
+    const stock = availableStock(variant);
+    const price = variantPrice(doc, variant);
+
+    if (stock !== null && stock === 0) {
+      warnings.push({ type: 'out_of_stock', itemId: doc._id, message: `${doc.name} is out of stock` });
+    } else if (stock !== null && stock < line.quantity) {
+      warnings.push({
+        type: 'insufficient_stock',
+        itemId: doc._id,
+        message: `Only ${stock} of ${doc.name} available`
+      });
+    }
+
+    if (typeof line.priceAtAdd === 'number' && line.priceAtAdd !== price) {
+      warnings.push({
+        type: 'price_changed',
+        itemId: doc._id,
+        message: `Price of ${doc.name} changed from ${line.priceAtAdd} to ${price}`
+      });
+    }
+
+    const lineTotal = price * line.quantity;
+    subtotal += lineTotal;
+
+    items.push({
+      _id: line._id,
+      itemType: line.itemType,
+      item: {
+        _id: doc._id,
+        name: doc.name,
+        image: doc.image
+      },
+      variant: variantView(variant),
+      quantity: line.quantity,
+      price,
+      priceAtAdd: line.priceAtAdd,
+      lineTotal,
+      stock,
+      addedAt: line.addedAt
+    });
+  }
+
+  if (removed.length > 0) {
+    cart.items = cart.items.filter((line) => !removed.some((id) => id.equals(line._id)));
+    await cart.save();
+  }
+
+  return {
+    _id: cart._id,
+    items,
+    subtotal,
+    count: items.length,
+    warnings,
+    updatedAt: cart.updatedAt
+  };
+};
+
+// Reject a quantity the catalog item (variant) cannot cover
+const checkQuantity = (quantity, doc, variant) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    const error = new Error('Quantity must be a whole number of at least 1');
+    error.statusCode = 400;
+    return error;
+  }
+
+  const stock = availableStock(variant);
+  if (stock !== null && stock < quantity) {
+    const error = new Error(`Insufficient stock for ${doc.name}: ${stock} available`);
+    error.statusCode = 409;
+    return error;
+  }
+
+  return null;
+};
+
+const sendCart = async (cart, res, statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    data: await buildCartView(cart)
+  });
+};
+
+// @desc    Get the current user's cart with live prices
+// @route   GET /api/cart
+// @access  Private
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await findCart(req.user._id);
+    await sendCart(cart, res);
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Add a product variant or accessory to the cart
+// @route   POST /api/cart/items
+// @access  Private
+exports.addCartItem = async (req, res, next) => {
+  try {
+    const { itemId, itemType = 'Product' } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
+
+    const Model = ITEM_MODELS[itemType];
+    if (!Model) {
+      const error = new Error(`Invalid item type ${itemType}`);
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (!itemId) {
+      const error = new Error('Please provide itemId');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const doc = await Model.findById(itemId);
+    if (!doc) {
+      const error = new Error(`${itemType} with id ${itemId} not found`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    // Products go in the cart by variant (id or SKU)
+    const variant = itemType === 'Product' ? resolveVariant(doc, req.body.variant) : null;
+    const variantId = variant ? variant._id : undefined;
+    const price = variantPrice(doc, variant);
+
+    const cart = await findCart(req.user._id);
+
+    // Adding an item already in the cart increases its quantity
+    const existing = cart.items.find((line) => (
+      line.itemType === itemType && line.item.equals(doc._id) && sameVariant(line.variant, variantId)
+    ));
+    const newQuantity = existing ? existing.quantity + quantity : quantity;
+
+    const quantityError = checkQuantity(quantity, doc, variant) || checkQuantity(newQuantity, doc, variant);
+    if (quantityError) {
+      return next(quantityError);
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+      existing.priceAtAdd = price;
+    } else {
+      cart.items.push({ itemType, item: doc._id, variant: variantId, quantity, priceAtAdd: price });
+    }
+
+    await cart.save();
+
+    logger.info(`Cart item ${itemType} ${doc._id} added for user ${req.user._id}`);
+
+    await sendCart(cart, res, existing ? 200 : 201);
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Change the quantity of a cart line
+// @route   POST /api/cart/items/:itemId/update
+// @access  Private
+exports.updateCartItem = async (req, res, next) => {
+  try {
+    const { quantity } = req.body;
+    const cart = await findCart(req.user._id);
+    const line = cart.items.id(req.params.itemId);
+
+    if (!line) {
+      const error = new Error('Cart item not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const doc = await ITEM_MODELS[line.itemType].findById(line.item);
+    const variant = doc && line.itemType === 'Product' ? findVariant(doc, line.variant) : null;
+
+    if (!doc || (line.itemType === 'Product' && !variant)) {
+      const error = new Error(`${line.itemType} is no longer available`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const quantityError = checkQuantity(quantity, doc, variant);
+    if (quantityError) {
+      return next(quantityError);
+    }
+
+    line.quantity = quantity;
+    line.priceAtAdd = variantPrice(doc, variant);
+    await cart.save();
+
+    await sendCart(cart, res);
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Remove a line from the cart
+// @route   POST /api/cart/items/:itemId/delete
+// @access  Private
+exports.removeCartItem = async (req, res, next) => {
+  try {
+    const cart = await findCart(req.user._id);
+    const line = cart.items.id(req.params.itemId);
+
+    if (!line) {
+      const error = new Error('Cart item not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    line.deleteOne();
+    await cart.save();
+
+    await sendCart(cart, res);
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Empty the cart
+// @route   POST /api/cart/clear
+// @access  Private
+exports.clearCart = async (req, res, next) => {
+  try {
+    await Cart.updateOne({ user: req.user._id }, { items: [], updatedAt: Date.now() });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Turn the cart into an order
+// @route   POST /api/cart/checkout
+// @access  Private
+exports.checkout = async (req, res, next) => {
+  try {
+    const { shippingAddress, paymentMethod, couponCode } = req.body;
+    const cart = await claimCart(req.user._id);
+
+    if (!cart) {
+      const error = new Error('Your cart is already being checked out');
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    let order;
+    let view;
+    try {
+      // Drops deleted items before ordering
+      view = await buildCartView(cart);
+
+      if (view.items.length === 0) {
+        const error = new Error('Your cart is empty');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Same validation, pricing and stock reservation as POST /api/orders/add
+      order = await placeOrder({
+        user: req.user,
+        products: view.items.map((line) => ({
+          itemType: line.itemType,
+          product: line.item._id,
+          variant: line.variant ? line.variant._id : undefined,
+          quantity: line.quantity
+        })),
+        shippingAddress,
+        paymentMethod,
+        couponCode
+      });
+    } catch (error) {
+      if (!cart.isNew) {
+        await releaseCart(cart);
+      }
+      throw error;
+    }
+
+    // Remove the ordered lines; anything added meanwhile stays in the cart
+    await Cart.updateOne(
+      { _id: cart._id },
+      {
+        $pull: { items: { _id: { $in: view.items.map((line) => line._id) } } },
+        $unset: { checkingOutAt: 1 },
+        updatedAt: Date.now()
+      }
+    );
+
+    await sendOrderEmail(order, 'placed');
+
+    logger.info(`Cart checked out as order ${order.orderId} for user ${req.user._id}`);
+
+    await order.populate({ path: 'user', select: 'firstName lastName email' });
+
+    res.status(201).json({
+      success: true,
+      data: order.toResponse(),
+      warnings: view.warnings
+    });
+  } catch (error) {
+    logger.error('Error checking out cart', error);
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
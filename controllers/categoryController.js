@@ -2,6 +2,9 @@
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const cloudinary = require('../config/cloudinary');
+const { syncCategorySuggestion, removeCategorySuggestion } = require('../utils/suggestions');
+const { resolveCategory, moveCategoryProducts } = require('../utils/categories');
+const logger = require('../utils/logger');
 
 // Helper function to extract public_id from Cloudinary URL
 const getPublicIdFromUrl = (url) => {
@@ -33,7 +36,7 @@ exports.getCategories = async (req, res, next) => {
 
 // @desc    Create new category
 // @route   POST /api/categories
-// @access  Public
+// @access  Private/Admin
 exports.createCategory = async (req, res, next) => {
   try {
     const { title } = req.body;
@@ -62,6 +65,7 @@ exports.createCategory = async (req, res, next) => {
       title,
       imageUrl
     });
+    await syncCategorySuggestion(category);
 
     res.status(201).json({
       success: true,
@@ -80,7 +84,7 @@ exports.createCategory = async (req, res, next) => {
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-// @access  Public
+// @access  Private/Admin
 exports.updateCategory = async (req, res, next) => {
   try {
     const category = await Category.findById(req.params.id);
@@ -128,6 +132,13 @@ exports.updateCategory = async (req, res, next) => {
         runValidators: true
       }
     );
+    await syncCategorySuggestion(updatedCategory);
+
+    // Products and coupons carry the title, so a rename is copied to them
+    if (updatedCategory.title !== category.title) {
+      const renamed = await moveCategoryProducts(category, updatedCategory);
+      logger.info(`Category ${category.title} renamed to ${updatedCategory.title} on ${renamed} products`);
+    }
 
     res.status(200).json({
       success: true,
@@ -144,9 +155,9 @@ exports.updateCategory = async (req, res, next) => {
   }
 };
 
-// @desc    Delete category
+// @desc    Delete category, optionally moving its products to another category
 // @route   DELETE /api/categories/:id
-// @access  Public
+// @access  Private/Admin
 exports.deleteCategory = async (req, res, next) => {
   try {
     const category = await Category.findById(req.params.id);
@@ -157,6 +168,31 @@ exports.deleteCategory = async (req, res, next) => {
       return next(error);
     }
 
+    // A category still used by products is only deleted when they are moved elsewhere
+    const productCount = await Product.countDocuments({ category: category._id });
+    let reassigned = 0;
+
+    if (productCount > 0) {
+      if (!req.query.reassignTo) {
+        const error = new Error(
+          `Category is used by ${productCount} product(s); pass reassignTo to move them to another category`
+        );
+        error.statusCode = 409;
+        return next(error);
+      }
+
+      const target = await resolveCategory(req.query.reassignTo);
+
+      if (target._id.equals(category._id)) {
+        const error = new Error('Cannot reassign products to the category being deleted');
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      reassigned = await moveCategoryProducts(category, target);
+      logger.info(`Moved ${reassigned} products from category ${category.title} to ${target.title}`);
+    }
+
     // Delete image from Cloudinary
     if (category.imageUrl) {
       const publicId = getPublicIdFromUrl(category.imageUrl);
@@ -166,13 +202,15 @@ exports.deleteCategory = async (req, res, next) => {
     }
 
     await Category.findByIdAndDelete(req.params.id);
+    await removeCategorySuggestion(category._id);
 
     res.status(200).json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category deleted successfully',
+      reassigned
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
@@ -34,7 +34,7 @@ exports.createContact = async (req, res, next) => {
 
 // @desc    Get all contacts
 // @route   GET /api/contacts
-// @access  Public
+// @access  Private/Admin
 exports.getContacts = async (req, res, next) => {
   try {
     const contacts = await Contact.find();
@@ -52,7 +52,7 @@ exports.getContacts = async (req, res, next) => {
 
 // @desc    Get single contact
 // @route   GET /api/contacts/:id
-// @access  Public
+// @access  Private/Admin
 exports.getContactById = async (req, res, next) => {
   try {
     const contact = await Contact.findById(req.params.id);
@@ -75,7 +75,7 @@ exports.getContactById = async (req, res, next) => {
 
 // @desc    Update contact
 // @route   PUT /api/contacts/:id
-// @access  Public
+// @access  Private/Admin
 exports.updateContact = async (req, res, next) => {
   try {
     const { name, email, subject, message } = req.body;
@@ -121,7 +121,7 @@ exports.updateContact = async (req, res, next) => {
 
 // @desc    Delete contact
 // @route   DELETE /api/contacts/:id
-// @access  Public
+// @access  Private/Admin
 exports.deleteContact = async (req, res, next) => {
   try {
     const contact = await Contact.findById(req.params.id);
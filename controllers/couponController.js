@@ -0,0 +1,229 @@
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const { priceOrder } = require('../utils/placeOrder');
+const { resolveCategory } = require('../utils/categories');
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'minOrderValue',
+  'products',
+  'categories',
+  'usageLimit',
+  'perUserLimit',
+  'startsAt',
+  'expiresAt',
+  'isActive'
+];
+
+const pickCouponFields = (body) => {
+  const fields = {};
+
+  for (const field of COUPON_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  return fields;
+};
+
+// Coupon fields from a request body, with categories (ids or titles)
+// resolved to category ids
+const readCouponFields = async (body) => {
+  const fields = pickCouponFields(body);
+
+  if (fields.categories !== undefined) {
+    if (!Array.isArray(fields.categories)) {
+      const error = new Error('categories must be an array of category ids or titles');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const categories = [];
+    for (const ref of fields.categories) {
+      categories.push((await resolveCategory(ref))._id);
+    }
+    fields.categories = categories;
+  }
+
+  return fields;
+};
+
+// @desc    Preview a coupon against an order or the current cart
+// @route   POST /api/coupons/validate
+// @access  Private
+exports.validateCoupon = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    let { products } = req.body;
+
+    if (!code) {
+      const error = new Error('Please provide a coupon code');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    // Without a products array, preview against the user's cart
+    if (products === undefined) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      products = cart
+        ? cart.items.map(line => ({ itemType: line.itemType, product: line.item, variant: line.variant, quantity: line.quantity }))
+        : [];
+    }
+
+    const pricing = await priceOrder({ user: req.user, products, couponCode: code });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: true,
+        subtotal: pricing.subtotal,
+        shippingFee: pricing.shippingFee,
+        discounts: pricing.discounts,
+        discountTotal: pricing.discountTotal,
+        totalAmount: pricing.totalAmount,
+        lines: pricing.lines.map(line => ({
+          itemType: line.itemType,
+          product: line.product,
+          variant: line.variant,
+          sku: line.sku,
+          quantity: line.quantity,
+          price: line.price,
+          discount: line.discount
+        }))
+      }
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (coupons:manage)
+exports.getCoupons = async (req, res, next) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (coupons:manage)
+exports.getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      const error = new Error('Coupon not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (coupons:manage)
+exports.createCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.create({
+      ...(await readCouponFields(req.body)),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const err = new Error('Coupon already exists with this code');
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Update coupon
+// @route   POST /api/coupons/:id/update
+// @access  Private (coupons:manage)
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      const error = new Error('Coupon not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    coupon.set(await readCouponFields(req.body));
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const err = new Error('Coupon already exists with this code');
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Delete coupon
+// @route   POST /api/coupons/:id/delete
+// @access  Private (coupons:manage)
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      const error = new Error('Coupon not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const EmailOutbox = require('../models/EmailOutbox');
+const { requeueEmail } = require('../utils/emailOutbox');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Hide the bodies of sensitive messages (they contain account tokens)
+const toResponse = (queued) => {
+  const email = queued.toObject();
+
+  if (email.sensitive) {
+    delete email.text;
+    delete email.html;
+  }
+
+  return email;
+};
+
+const findEmail = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error('Invalid email ID');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const queued = await EmailOutbox.findById(id);
+
+  if (!queued) {
+    const error = new Error('Email not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return queued;
+};
+
+// @desc    List outbox emails, newest first
+// @route   GET /api/admin/emails
+// @access  Private (emails:manage)
+exports.getEmails = async (req, res, next) => {
+  try {
+    const { status, to, template, before } = req.query;
+    const filter = {};
+
+    if (status) {
+      const statuses = String(status).split(',').map(value => value.trim());
+      const invalid = statuses.find(value => !EmailOutbox.EMAIL_STATUSES.includes(value));
+
+      if (invalid) {
+        const error = new Error(`Invalid status ${invalid}. Use one of: ${EmailOutbox.EMAIL_STATUSES.join(', ')}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      filter.status = { $in: statuses };
+    }
+
+    if (to) {
+      filter.to = String(to).trim().toLowerCase();
+    }
+
+    if (template) {
+      filter.template = String(template);
+    }
+
+    if (before) {
+      const date = new Date(before);
+
+      if (isNaN(date.getTime())) {
+        const error = new Error('before must be a valid date');
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      filter.createdAt = { $lt: date };
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        const error = new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+    }
+
+    const [page, statusCounts] = await Promise.all([
+      EmailOutbox.find(filter)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .limit(limit + 1),
+      EmailOutbox.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const hasMore = page.length > limit;
+    const emails = page.slice(0, limit);
+
+    const summary = Object.fromEntries(EmailOutbox.EMAIL_STATUSES.map(value => [value, 0]));
+    for (const { _id, count } of statusCounts) {
+      summary[_id] = count;
+    }
+
+    res.status(200).json({
+      success: true,
+      count: emails.length,
+      data: emails,
+      pagination: {
+        limit,
+        hasMore,
+        // Pass as before to get the next page
+        nextBefore: hasMore ? emails[emails.length - 1].createdAt : null
+      },
+      summary
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Get an outbox email including its body
+// @route   GET /api/admin/emails/:id
+// @access  Private (emails:manage)
+exports.getEmail = async (req, res, next) => {
+  try {
+    const queued = await findEmail(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: toResponse(queued)
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Queue a dead email for delivery again
+// @route   POST /api/admin/emails/:id/resend
+// @access  Private (emails:manage)
+exports.resendEmail = async (req, res, next) => {
+  try {
+    await findEmail(req.params.id);
+
+    const queued = await requeueEmail(req.params.id, req.user._id);
+
+    logger.info(`Email ${queued._id} requeued by ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email queued for delivery',
+      data: toResponse(queued)
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
@@ -3,6 +3,11 @@ const path = require('path');
 const fs = require('fs');
 const cloudinary = require('../config/cloudinary');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { listQuery, buildFilter, PRODUCT_SORTS, PRODUCT_PRICE_FILTERS } = require('../utils/listQuery');
+const { syncProductSuggestion, removeProductSuggestion } = require('../utils/suggestions');
+const { singleVariant, singleVariantUpdate } = require('../utils/variants');
+const { resolveCategory, categoryFields } = require('../utils/categories');
 
 // Helper function to extract public_id from Cloudinary URL
 const getPublicIdFromUrl = (url) => {
@@ -36,19 +41,31 @@ const transformProductImages = (productObj) => {
   return images;
 };
 
-// @desc    Get explore collection
+// Query parameters accepted by GET /api/explore (see utils/listQuery.js)
+const EXPLORE_LIST = {
+  baseFilter: { isExplore: true },
+  filters: {
+    category: { field: 'categoryTitle', type: 'string', multiple: true },
+    categoryId: { field: 'category', type: 'string', multiple: true },
+    size: { field: 'variants.size', type: 'string', multiple: true },
+    ...PRODUCT_PRICE_FILTERS
+  },
+  sorts: PRODUCT_SORTS,
+  defaultSort: 'newest'
+};
+
+// @desc    Get explore collection grouped by category, filtered, sorted and paginated
 // @route   GET /api/explore
 // @access  Public
 exports.getExploreCollection = async (req, res, next) => {
   try {
-    // Build query
-    let query = { isExplore: true };
-
-    // Get unique categories from explore products
-    const categories = await Product.distinct('category', query);
+    // Get unique categories from explore products matching the filters
+    const categories = await Product.distinct('categoryTitle', buildFilter(req.query, EXPLORE_LIST));
 
-    // Get explore products
-    const products = await Product.find(query).sort({ createdAt: -1 }).select('name price image images category _id');
+    // Get one page of explore products
+    const { items: products, pagination } = await listQuery(Product, req.query, EXPLORE_LIST, {
+      select: 'name price priceFrom image images category categoryTitle _id'
+    });
 
     // Initialize groupedProducts with unique categories
     const groupedProducts = categories.reduce((acc, category) => {
@@ -58,15 +75,17 @@ exports.getExploreCollection = async (req, res, next) => {
 
     // Group products by category
     products.forEach(product => {
-      const category = product.category;
+      const category = product.categoryTitle;
       if (groupedProducts[category]) {
         groupedProducts[category].push({
           id: product._id,
           title: product.name,
           price: product.price,
+          priceFrom: product.priceFrom,
           image: product.image,
           images: transformProductImages(product),
-          category: product.category
+          category: product.categoryTitle,
+          categoryId: product.category
         });
       }
     });
@@ -74,10 +93,11 @@ exports.getExploreCollection = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Discover premium fitness wear for every workout',
-      data: groupedProducts
+      data: groupedProducts,
+      pagination
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
@@ -110,7 +130,7 @@ exports.getExploreProduct = async (req, res, next) => {
 
 // @desc    Create new product for explore collection with image upload
 // @route   POST /api/explore
-// @access  Public
+// @access  Private/Admin
 exports.createExploreProduct = async (req, res, next) => {
   try {
     const { name, description, price, category, size } = req.body;
@@ -122,6 +142,9 @@ exports.createExploreProduct = async (req, res, next) => {
       return next(error);
     }
 
+    // category is a category id or title
+    const productCategory = await resolveCategory(category);
+
     // Validate that an image is uploaded
     if (!req.file) {
       const error = new Error('Please add an image');
@@ -141,17 +164,21 @@ exports.createExploreProduct = async (req, res, next) => {
       uploadStream.end(req.file.buffer);
     });
     const mainImage = imageResult.secure_url;
+    const productId = new mongoose.Types.ObjectId();
 
+    // Explore products are sold in the one size given
     const product = await Product.create({
+      _id: productId,
       name,
       description,
       price: parseFloat(price),
-      category,
-      size,
+      ...categoryFields(productCategory),
+      variants: [singleVariant(productId, { size })],
       images: [],
       image: mainImage,
       isExplore: true
     });
+    await syncProductSuggestion(product);
 
     res.status(201).json({
       success: true,
@@ -161,7 +188,8 @@ exports.createExploreProduct = async (req, res, next) => {
         name: product.name,
         description: product.description,
         price: product.price,
-        category: product.category,
+        category: product.categoryTitle,
+        categoryId: product.category,
         size: product.size,
         image: mainImage,
         images: transformProductImages(product)
@@ -175,7 +203,7 @@ exports.createExploreProduct = async (req, res, next) => {
 
 // @desc    Update explore product
 // @route   PUT /api/explore/:id
-// @access  Public
+// @access  Private/Admin
 exports.updateExploreProduct = async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.id);
@@ -192,8 +220,8 @@ exports.updateExploreProduct = async (req, res, next) => {
       name,
       description,
       price: parseFloat(price),
-      category,
-      size
+      ...(category && categoryFields(await resolveCategory(category))),
+      ...singleVariantUpdate(product, { size })
     };
 
     // If new image uploaded, append to existing images
@@ -240,6 +268,7 @@ exports.updateExploreProduct = async (req, res, next) => {
         runValidators: true
       }
     );
+    await syncProductSuggestion(updatedProduct);
 
     res.status(200).json({
       success: true,
@@ -249,7 +278,8 @@ exports.updateExploreProduct = async (req, res, next) => {
         name: updatedProduct.name,
         description: updatedProduct.description,
         price: updatedProduct.price,
-        category: updatedProduct.category,
+        category: updatedProduct.categoryTitle,
+        categoryId: updatedProduct.category,
         size: updatedProduct.size,
         image: updatedProduct.image,
         images: transformProductImages(updatedProduct)
@@ -263,7 +293,7 @@ exports.updateExploreProduct = async (req, res, next) => {
 
 // @desc    Delete explore product
 // @route   DELETE /api/explore/:id
-// @access  Public
+// @access  Private/Admin
 exports.deleteExploreProduct = async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.id);
@@ -285,6 +315,7 @@ exports.deleteExploreProduct = async (req, res, next) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await removeProductSuggestion(product._id);
 
     res.status(200).json({
       success: true,
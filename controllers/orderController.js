@@ -1,126 +1,133 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const Address = require('../models/Address');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { releaseOrderStock } = require('../utils/inventory');
+const { placeOrder } = require('../utils/placeOrder');
+const { refundOrder } = require('../utils/payments');
+const { releaseOrderCoupons } = require('../utils/coupons');
+const { renderInvoice } = require('../utils/invoice');
+const { sendOrderEmail } = require('../utils/orderEmails');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/listQuery');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 
-// @desc    Add a new order
-// @route   POST /api/orders/add
-// @access  Private
-exports.addOrder = async (req, res, next) => {
-  try {
-    const { orderId, products, shippingAddress, paymentMethod } = req.body;
+// Hash the parts of an order request that an idempotent retry must repeat
+const hashOrderRequest = ({ products, shippingAddress, paymentMethod, couponCode }) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ products, shippingAddress, paymentMethod, couponCode }))
+    .digest('hex');
+};
 
-    logger.info(`Add order request by user ${req.user._id}`);
+// Orders placed before product/address snapshots were stored only have
+// references, so those are populated instead
+const populateLegacyOrder = async (order) => {
+  if (!order.hasSnapshot()) {
+    await order.populate([
+      { path: 'products.product', select: 'name price image variants.size' },
+      { path: 'shippingAddress', select: 'countryRegion firstName lastName address apartmentSuite city state pinCode phone' }
+    ]);
+  }
 
-    // Validate required fields
-    if (!orderId) {
-      const error = new Error('Please provide orderId');
-      error.statusCode = 400;
-      logger.warn('OrderId missing');
-      return next(error);
-    }
+  return order;
+};
 
-    // Check if orderId already exists
-    const existingOrder = await Order.findOne({ orderId });
-    if (existingOrder) {
-      const error = new Error('OrderId already exists');
-      error.statusCode = 400;
-      logger.warn(`OrderId already exists: ${orderId}`);
-      return next(error);
-    }
+// Whether a user owns the order or may read any order
+const canReadOrder = async (user, order) => {
+  const ownerId = order.user._id || order.user;
+  return ownerId.toString() === user._id.toString() || Role.userHasPermission(user, 'orders:read');
+};
 
-    if (!products || !Array.isArray(products) || products.length === 0) {
-      const error = new Error('Please provide products array');
-      error.statusCode = 400;
-      logger.warn('Products array missing or empty');
-      return next(error);
-    }
+// Populate a newly created (or replayed) order and send it
+const sendCreatedOrder = async (order, res, replayed = false) => {
+  await populateLegacyOrder(order);
+  await order.populate({ path: 'user', select: 'firstName lastName email' });
 
-    if (!shippingAddress) {
-      const error = new Error('Please provide shipping address');
-      error.statusCode = 400;
-      logger.warn('Shipping address missing');
-      return next(error);
-    }
+  const responseOrder = order.toResponse();
+  delete responseOrder.idempotencyKey;
+  delete responseOrder.idempotencyHash;
 
-    if (!paymentMethod) {
-      const error = new Error('Please provide payment method');
-      error.statusCode = 400;
-      logger.warn('Payment method missing');
-      return next(error);
-    }
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
 
-    // Ensure paymentMethod is a string
-    const trimmedPaymentMethod = String(paymentMethod).trim();
+  res.status(201).json({
+    success: true,
+    data: responseOrder
+  });
+};
 
-    // Validate shipping address exists
-    const address = await Address.findById(shippingAddress);
+// Answer a retried request with the order created by the first attempt
+const replayOrder = async (order, requestHash, res, next) => {
+  if (order.idempotencyHash !== requestHash) {
+    const error = new Error('Idempotency-Key was already used with a different request');
+    error.statusCode = 422;
+    return next(error);
+  }
 
-    if (!address) {
-      const error = new Error('Shipping address not found');
-      error.statusCode = 404;
-      logger.warn(`Shipping address not found: ${shippingAddress}`);
-      return next(error);
-    }
+  logger.info(`Idempotent replay of order ${order.orderId}`);
+  await sendCreatedOrder(order, res, true);
+};
 
-    // Validate products and calculate total
-    let totalAmount = 0;
-    const validatedProducts = [];
+// @desc    Add a new order
+// @route   POST /api/orders/add
+// @access  Private
+exports.addOrder = async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  let requestHash;
 
-    for (const item of products) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        const error = new Error(`Product with id ${item.product} not found`);
-        error.statusCode = 404;
-        logger.warn(`Product not found: ${item.product}`);
-        return next(error);
-      }
+  try {
+    const { products, shippingAddress, paymentMethod, couponCode } = req.body;
+
+    logger.info(`Add order request by user ${req.user._id}`);
 
-      if (item.quantity < 1) {
-        const error = new Error('Product quantity must be at least 1');
+    if (idempotencyKey !== undefined) {
+      if (idempotencyKey.trim() === '' || idempotencyKey.length > 255) {
+        const error = new Error('Idempotency-Key must be between 1 and 255 characters');
         error.statusCode = 400;
-        logger.warn(`Invalid quantity for product ${item.product}: ${item.quantity}`);
         return next(error);
       }
 
-      validatedProducts.push({
-        product: item.product,
-        quantity: item.quantity,
-        price: product.price
-      });
+      requestHash = hashOrderRequest(req.body);
+
+      // Same key as an earlier request: return the order it created
+      const existingOrder = await Order.findOne({ user: req.user._id, idempotencyKey })
+        .select('+idempotencyHash');
 
-      totalAmount += product.price * item.quantity;
+      if (existingOrder) {
+        return await replayOrder(existingOrder, requestHash, res, next);
+      }
     }
 
-    // Create order
-    const order = await Order.create({
-      orderId,
-      user: req.user._id,
-      products: validatedProducts,
-      totalAmount,
+    const order = await placeOrder({
+      user: req.user,
+      products,
       shippingAddress,
-      paymentMethod: trimmedPaymentMethod
+      paymentMethod,
+      couponCode,
+      idempotencyKey,
+      idempotencyHash: requestHash
     });
 
-    // Populate the order with product and address details
-    await order.populate([
-      { path: 'products.product', select: 'name price image' },
-      { path: 'shippingAddress', select: 'countryRegion firstName lastName address apartmentSuite city state pinCode phone' },
-      { path: 'user', select: 'firstName lastName email' }
-    ]);
-
-    logger.info(`Order created successfully: ${order._id}`);
+    await sendOrderEmail(order, 'placed');
 
-    // Exclude orderId from the response
-    const responseOrder = order.toObject();
-    delete responseOrder.orderId;
-
-    res.status(201).json({
-      success: true,
-      data: responseOrder
-    });
+    await sendCreatedOrder(order, res);
   } catch (error) {
+    // A concurrent request with the same Idempotency-Key won the race
+    if (error.code === 11000 && idempotencyKey && error.keyPattern && error.keyPattern.idempotencyKey) {
+      try {
+        const existingOrder = await Order.findOne({ user: req.user._id, idempotencyKey })
+          .select('+idempotencyHash');
+
+        if (existingOrder) {
+          return await replayOrder(existingOrder, requestHash, res, next);
+        }
+      } catch (lookupError) {
+        return next(lookupError);
+      }
+    }
+
     logger.error('Error creating order', error);
 
     if (error.code === 11000) {
@@ -129,7 +136,7 @@ exports.addOrder = async (req, res, next) => {
       return next(err);
     }
 
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
@@ -141,9 +148,8 @@ exports.getOrder = async (req, res, next) => {
   try {
     const order = await Order.findOne({ orderId: req.params.id })
       .populate([
-        { path: 'products.product', select: 'name price image description' },
-        { path: 'shippingAddress', select: 'countryRegion firstName lastName address apartmentSuite city state pinCode phone' },
-        { path: 'user', select: 'firstName lastName email' }
+        { path: 'user', select: 'firstName lastName email' },
+        { path: 'statusHistory.actor', select: 'firstName lastName' }
       ]);
 
     if (!order) {
@@ -152,16 +158,17 @@ exports.getOrder = async (req, res, next) => {
       return next(error);
     }
 
-    // Check if user owns the order or is admin
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await canReadOrder(req.user, order))) {
       const error = new Error('Not authorized to access this order');
       error.statusCode = 403;
       return next(error);
     }
 
+    await populateLegacyOrder(order);
+
     res.status(200).json({
       success: true,
-      data: order
+      data: order.toResponse()
     });
   } catch (error) {
     const err = new Error('Invalid order ID');
@@ -170,22 +177,81 @@ exports.getOrder = async (req, res, next) => {
   }
 };
 
+// @desc    Download the invoice for a paid order
+// @route   GET /api/orders/:id/invoice.pdf
+// @access  Private
+exports.getInvoice = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.id })
+      .populate({ path: 'user', select: 'firstName lastName email' });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    if (!(await canReadOrder(req.user, order))) {
+      const error = new Error('Not authorized to access this order');
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    // Invoice numbers are allocated on payment; fill one in if that step was missed
+    if (!order.invoiceNumber) {
+      if (!['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+        const error = new Error('An invoice is available once the order has been paid');
+        error.statusCode = 409;
+        return next(error);
+      }
+
+      if (!(await Order.assignInvoiceNumber(order._id))) {
+        const error = new Error('The invoice number is being assigned, please retry');
+        error.statusCode = 409;
+        return next(error);
+      }
+
+      const invoiced = await Order.findById(order._id).select('invoiceNumber invoicedAt invoiceTaxRate');
+      order.set({
+        invoiceNumber: invoiced.invoiceNumber,
+        invoicedAt: invoiced.invoicedAt,
+        invoiceTaxRate: invoiced.invoiceTaxRate
+      });
+    }
+
+    await populateLegacyOrder(order);
+
+    const pdf = renderInvoice(order.toResponse());
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="invoice-${order.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    logger.error('Error generating invoice', error);
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
 // @desc    Get all orders for current user
 // @route   GET /api/orders
 // @access  Private
 exports.getUserOrders = async (req, res, next) => {
   try {
     const orders = await Order.find({ user: req.user._id })
-      .populate([
-        { path: 'products.product', select: 'name price image' },
-        { path: 'shippingAddress', select: 'countryRegion firstName lastName address apartmentSuite city state pinCode phone' }
-      ])
       .sort({ createdAt: -1 });
 
+    for (const order of orders) {
+      await populateLegacyOrder(order);
+    }
+
     res.status(200).json({
       success: true,
       count: orders.length,
-      data: orders
+      data: orders.map(order => order.toResponse())
     });
   } catch (error) {
     error.statusCode = 400;
@@ -193,26 +259,74 @@ exports.getUserOrders = async (req, res, next) => {
   }
 };
 
-// @desc    Delete order
-// @route   POST /api/orders/:id/delete
+// @desc    Cancel own order before it ships
+// @route   POST /api/orders/:id/cancel
 // @access  Private
-exports.deleteOrder = async (req, res, next) => {
+exports.cancelOrder = async (req, res, next) => {
   try {
-    const order = await Order.findOne({ orderId: req.params.id });
+    const { reason } = req.body;
 
-    if (!order) {
+    if (reason !== undefined && typeof reason !== 'string') {
+      const error = new Error('Reason must be a string');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const existingOrder = await Order.findOne({ orderId: req.params.id, user: req.user._id });
+
+    if (!existingOrder) {
       const error = new Error('Order not found');
       error.statusCode = 404;
       return next(error);
     }
 
-    // Check if user owns the order or is admin
-    if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      const error = new Error('Not authorized to delete this order');
-      error.statusCode = 403;
+    if (!Order.canTransition(existingOrder.status, 'cancelled')) {
+      const error = new Error(`Orders that are ${existingOrder.status} can no longer be cancelled`);
+      error.statusCode = 409;
       return next(error);
     }
 
+    const cancelledOrder = await Order.transitionStatus(existingOrder, 'cancelled', {
+      actor: req.user._id,
+      note: reason
+    });
+
+    await releaseOrderStock(cancelledOrder);
+    await releaseOrderCoupons(cancelledOrder);
+    await refundOrder(cancelledOrder, undefined, 'Order cancelled by customer');
+
+    logger.info(`Order ${cancelledOrder.orderId} cancelled by customer ${req.user._id}`);
+
+    await sendOrderEmail(cancelledOrder, 'cancelled', { reason });
+
+    await populateLegacyOrder(cancelledOrder);
+    await cancelledOrder.populate({ path: 'statusHistory.actor', select: 'firstName lastName' });
+
+    res.status(200).json({
+      success: true,
+      data: cancelledOrder.toResponse()
+    });
+  } catch (error) {
+    logger.error('Error cancelling order', error);
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Permanently delete an order
+// @route   POST /api/orders/:id/delete
+// @access  Private (orders:delete)
+exports.deleteOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.id });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    await releaseOrderStock(order);
     await Order.findByIdAndDelete(order._id);
 
     logger.info(`Order deleted successfully: ${order._id}`);
@@ -239,7 +353,8 @@ exports.deleteOrder = async (req, res, next) => {
 // @access  Private/Admin
 exports.updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
+    const { status, note, carrier, trackingNumber, trackingUrl } = req.body;
+    const tracking = { carrier, trackingNumber, trackingUrl };
 
     if (!status) {
       const error = new Error('Please provide status');
@@ -247,35 +362,71 @@ exports.updateOrderStatus = async (req, res, next) => {
       return next(error);
     }
 
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
       const error = new Error('Invalid status');
       error.statusCode = 400;
       return next(error);
     }
 
-    const order = await Order.findOneAndUpdate(
-      { orderId: req.params.id },
-      { status },
-      {
-        new: true,
-        runValidators: true
+    if (note !== undefined && typeof note !== 'string') {
+      const error = new Error('Note must be a string');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    for (const [field, value] of Object.entries(tracking)) {
+      if (value === undefined) {
+        delete tracking[field];
+      } else if (typeof value !== 'string') {
+        const error = new Error(`${field} must be a string`);
+        error.statusCode = 400;
+        return next(error);
       }
-    ).populate([
-      { path: 'products.product', select: 'name price image' },
-      { path: 'shippingAddress', select: 'countryRegion firstName lastName address apartmentSuite city state pinCode phone' },
-      { path: 'user', select: 'firstName lastName email' }
-    ]);
+    }
 
-    if (!order) {
+    if (Object.keys(tracking).length > 0 && status !== 'shipped') {
+      const error = new Error('Tracking details can only be set when marking an order shipped');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const existingOrder = await Order.findOne({ orderId: req.params.id });
+
+    if (!existingOrder) {
       const error = new Error('Order not found');
       error.statusCode = 404;
       return next(error);
     }
 
+    // Throws 409 for transitions the state machine does not allow
+    const updatedOrder = await Order.transitionStatus(existingOrder, status, {
+      actor: req.user._id,
+      note,
+      fields: tracking
+    });
+
+    if (status === 'cancelled') {
+      await releaseOrderStock(updatedOrder);
+      await releaseOrderCoupons(updatedOrder);
+      await refundOrder(updatedOrder, undefined, 'Order cancelled');
+    }
+
+    logger.info(`Order ${updatedOrder.orderId} status changed from ${existingOrder.status} to ${status} by ${req.user._id}`);
+
+    // Status notes are internal, so they are not included in the email
+    if (['shipped', 'delivered', 'cancelled'].includes(status)) {
+      await sendOrderEmail(updatedOrder, status);
+    }
+
+    await populateLegacyOrder(updatedOrder);
+    await updatedOrder.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'statusHistory.actor', select: 'firstName lastName' }
+    ]);
+
     res.status(200).json({
       success: true,
-      data: order
+      data: updatedOrder.toResponse()
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -284,7 +435,147 @@ exports.updateOrderStatus = async (req, res, next) => {
       return next(err);
     }
 
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// Sort options for the admin order list
+const ADMIN_ORDER_SORTS = {
+  createdAt: { field: 'createdAt', direction: 1, type: 'date' },
+  '-createdAt': { field: 'createdAt', direction: -1, type: 'date' },
+  totalAmount: { field: 'totalAmount', direction: 1, type: 'number' },
+  '-totalAmount': { field: 'totalAmount', direction: -1, type: 'number' }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Build the Mongo filter for the admin order list from query parameters.
+// The status filter is returned separately so summary counts can ignore it.
+const buildAdminOrderFilter = async (query) => {
+  const filter = {};
+  let statusFilter = null;
+
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+  if (query.status) {
+    statusFilter = { status: { $in: list(query.status) } };
+  }
+
+  if (query.paymentStatus) {
+    filter.paymentStatus = { $in: list(query.paymentStatus) };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (query[param]) {
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+          throw badRequest(`Invalid ${param} date`);
+        }
+        filter.createdAt[operator] = date;
+      }
+    }
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filter.totalAmount = {};
+
+    for (const [param, operator] of [['minAmount', '$gte'], ['maxAmount', '$lte']]) {
+      if (query[param] !== undefined) {
+        const amount = Number(query[param]);
+        if (Number.isNaN(amount)) {
+          throw badRequest(`${param} must be a number`);
+        }
+        filter.totalAmount[operator] = amount;
+      }
+    }
+  }
+
+  if (query.product) {
+    if (!mongoose.Types.ObjectId.isValid(query.product)) {
+      throw badRequest('Invalid product ID');
+    }
+    filter['products.product'] = new mongoose.Types.ObjectId(query.product);
+  }
+
+  if (query.email) {
+    const users = await User.find({ email: { $regex: escapeRegex(String(query.email).trim()), $options: 'i' } }).select('_id');
+    filter.user = { $in: users.map(user => user._id) };
+  }
+
+  if (query.q) {
+    filter.orderId = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+  }
+
+  return { filter, statusFilter };
+};
+
+// @desc    List all orders with filters, search, sorting and cursor pagination
+// @route   GET /api/admin/orders
+// @access  Private (orders:read)
+exports.getAdminOrders = async (req, res, next) => {
+  try {
+    const sort = ADMIN_ORDER_SORTS[req.query.sort || '-createdAt'];
+
+    if (!sort) {
+      return next(badRequest(`Invalid sort. Use one of: ${Object.keys(ADMIN_ORDER_SORTS).join(', ')}`));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { filter, statusFilter } = await buildAdminOrderFilter(req.query);
+    const listFilter = { ...filter, ...statusFilter };
+
+    // Keyset pagination: continue after the last order of the previous page
+    if (req.query.cursor) {
+      listFilter.$and = [afterCursor(decodeCursor(req.query.cursor, sort), sort)];
+    }
+
+    const [orders, statusCounts] = await Promise.all([
+      Order.find(listFilter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1)
+        .populate({ path: 'user', select: 'firstName lastName email' }),
+      Order.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const hasMore = orders.length > limit;
+    const page = orders.slice(0, limit);
+
+    for (const order of page) {
+      await populateLegacyOrder(order);
+    }
+
+    // Counts per status for the other filters, so queue tabs can show totals
+    const summary = Object.fromEntries(Object.keys(Order.STATUS_TRANSITIONS).map(status => [status, 0]));
+    statusCounts.forEach(({ _id, count }) => {
+      summary[_id] = count;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      data: page.map(order => order.toResponse()),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+      },
+      summary
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
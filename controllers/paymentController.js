@@ -0,0 +1,203 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Role = require('../models/Role');
+const payments = require('../utils/payments');
+const logger = require('../utils/logger');
+
+// Find an order by order number that the current user owns or may read
+const findAccessibleOrder = async (req) => {
+  const order = await Order.findOne({ orderId: req.params.orderId });
+
+  if (!order) {
+    const error = new Error('Order not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (order.user.toString() !== req.user._id.toString() && !(await Role.userHasPermission(req.user, 'orders:read'))) {
+    const error = new Error('Not authorized to access this order');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return order;
+};
+
+// @desc    List available payment methods
+// @route   GET /api/payments/methods
+// @access  Public
+exports.getPaymentMethods = async (req, res, next) => {
+  try {
+    const methods = payments.listProviders();
+
+    res.status(200).json({
+      success: true,
+      count: methods.length,
+      data: methods
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Start (or resume) payment for an order
+// @route   POST /api/payments/:orderId/intent
+// @access  Private
+exports.createPaymentIntent = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId, user: req.user._id });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    if (order.status === 'cancelled') {
+      const error = new Error('Cancelled orders cannot be paid');
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+      const error = new Error(`Order is already ${order.paymentStatus}`);
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const payment = await payments.createPayment(order);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provider: payment.provider,
+        intentId: payment.providerRef,
+        clientSecret: payment.clientSecret,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status
+      }
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Get payments for an order
+// @route   GET /api/payments/:orderId
+// @access  Private
+exports.getOrderPayments = async (req, res, next) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    const orderPayments = await Payment.find({ order: order._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: orderPayments.length,
+      data: orderPayments
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Capture an order's payment, e.g. cash collected on delivery
+// @route   POST /api/payments/:orderId/capture
+// @access  Private (payments:manage)
+exports.capturePayment = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    if (order.status === 'cancelled') {
+      const error = new Error('Cancelled orders cannot be paid');
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const payment = await payments.capturePayment(order);
+
+    logger.info(`Payment for order ${order.orderId} captured by ${req.user._id}: ${payment.status}`);
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Refund part or all of an order's payment
+// @route   POST /api/payments/:orderId/refund
+// @access  Private (payments:manage)
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) {
+      const error = new Error('Amount must be a positive number');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const payment = await payments.refundOrder(order, amount, reason);
+
+    if (!payment) {
+      const error = new Error('Order has no captured payment to refund');
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    logger.info(`Refund for order ${order.orderId} requested by ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature checked by the provider)
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const { event, applied } = await payments.handleWebhook(req.params.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+
+    logger.info(`Webhook ${event.id} (${event.type}) from ${req.params.provider} ${applied ? 'applied' : 'already applied or ignored'}`);
+
+    // Always 200 for verified events so providers stop retrying duplicates
+    res.status(200).json({
+      success: true,
+      data: { received: true, applied }
+    });
+  } catch (error) {
+    logger.warn(`Rejected ${req.params.provider} webhook: ${error.message}`);
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
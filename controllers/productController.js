@@ -5,6 +5,29 @@ const fs = require('fs');
 const crypto = require('crypto');
 const cloudinary = require('../config/cloudinary');
 const mongoose = require('mongoose');
+const ordersConfig = require('../config/orders');
+const { listQuery, PRODUCT_SORTS, PRODUCT_PRICE_FILTERS } = require('../utils/listQuery');
+const { searchCatalog } = require('../utils/catalogSearch');
+const {
+  getSuggestions,
+  syncProductSuggestion,
+  removeProductSuggestion,
+  recordSearchQuery,
+  rebuildSuggestions
+} = require('../utils/suggestions');
+const {
+  singleVariant,
+  parseVariants,
+  planVariantUpdate,
+  checkVariantsRemovable,
+  saveVariantUpdate,
+  singleVariantUpdate,
+  resolveVariant,
+  migrateProductVariants
+} = require('../utils/variants');
+const { resolveCategory, categoryFields, migrateProductCategories } = require('../utils/categories');
+const searchConfig = require('../config/search');
+const logger = require('../utils/logger');
 
 // Helper function to extract public_id from Cloudinary URL
 const getPublicIdFromUrl = (url) => {
@@ -35,15 +58,78 @@ const transformProductImages = (productObj) => {
   }
 };
 
-// @desc    Get all products for carousel
+// Helper function to read an optional number from a (multipart) body field.
+// '' and 'null' clear the value, undefined leaves it unchanged.
+const parseOptionalNumber = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '' || value === 'null') {
+    return null;
+  }
+  return Number(value);
+};
+
+// Images for a variant are uploaded as variantImages[<SKU>]
+const VARIANT_IMAGE_FIELD = /^variantImages\[(.+)\]$/;
+
+const variantImageFiles = (files) => (files || []).filter(file => VARIANT_IMAGE_FIELD.test(file.fieldname));
+
+// Upload variant images and add them to the variants with the SKU in their field name
+const addVariantImages = async (variants, files) => {
+  const uploads = files.map(file => {
+    const sku = file.fieldname.match(VARIANT_IMAGE_FIELD)[1].trim().toUpperCase();
+    const variant = variants.find(candidate => candidate.sku === sku);
+
+    if (!variant) {
+      const error = new Error(`Image uploaded for unknown variant SKU ${sku}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { file, variant };
+  });
+
+  for (const { file, variant } of uploads) {
+    const imageResult = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        { folder: 'products' },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+      uploadStream.end(file.buffer);
+    });
+
+    variant.images.push({ id: crypto.randomUUID(), url: imageResult.secure_url });
+  }
+};
+
+// Query parameters accepted by GET /api/products (see utils/listQuery.js)
+const PRODUCT_LIST = {
+  filters: {
+    // Category titles; categoryId takes category ids
+    category: { field: 'categoryTitle', type: 'string', multiple: true },
+    categoryId: { field: 'category', type: 'string', multiple: true },
+    size: { field: 'variants.size', type: 'string', multiple: true },
+    ...PRODUCT_PRICE_FILTERS,
+    isExplore: { type: 'boolean' },
+    isTrending: { type: 'boolean' }
+  },
+  sorts: PRODUCT_SORTS,
+  defaultSort: 'newest'
+};
+
+// @desc    Get products, filtered, sorted and paginated
 // @route   GET /api/products
 // @access  Public
 exports.getProducts = async (req, res, next) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
+    const { items, pagination } = await listQuery(Product, req.query, PRODUCT_LIST);
 
     // Transform images from string to array of strings
-    const productsWithFullImage = products.map(product => {
+    const productsWithFullImage = items.map(product => {
       const productObj = product.toObject();
       productObj.images = transformProductImages(productObj);
       return productObj;
@@ -52,10 +138,11 @@ exports.getProducts = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: productsWithFullImage.length,
-      data: productsWithFullImage
+      data: productsWithFullImage,
+      pagination
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
@@ -95,32 +182,38 @@ exports.getProduct = async (req, res, next) => {
 
 // @desc    Create new product with image upload
 // @route   POST /api/products
-// @access  Public
+// @access  Private/Admin
 exports.createProduct = async (req, res, next) => {
   try {
-    const { name, description, price, category, isExplore, size, offerStrip } = req.body;
+    const { name, description, price, category, isExplore, size, offerStrip, stock, lowStockThreshold, variants } = req.body;
 
-    // Validate required fields
-    if (!size) {
-      const error = new Error('Please add a product size');
+    // Validate required fields: either variants, or a size for a single variant
+    if (!size && variants === undefined) {
+      const error = new Error('Please add a product size or variants');
       error.statusCode = 400;
       return next(error);
     }
 
-    // Validate category if provided
-    if (!category || typeof category !== 'string' || category.trim() === '') {
-      const error = new Error('Please provide a valid category name');
-      error.statusCode = 400;
-      return next(error);
-    }
+    // category is a category id or title
+    const productCategory = await resolveCategory(category);
 
     // Check if file was uploaded
-    if (!req.file) {
+    const imageFile = (req.files || []).find(file => file.fieldname === 'image');
+    if (!imageFile) {
       const error = new Error('Please upload an image');
       error.statusCode = 400;
       return next(error);
     }
 
+    const productId = new mongoose.Types.ObjectId();
+    const productVariants = variants === undefined
+      ? [singleVariant(productId, {
+        size,
+        stock: parseOptionalNumber(stock),
+        lowStockThreshold: parseOptionalNumber(lowStockThreshold)
+      })]
+      : parseVariants(variants);
+
     // Upload image to Cloudinary
     const imageResult = await new Promise((resolve, reject) => {
       const uploadStream = cloudinary.uploader.upload_stream(
@@ -130,21 +223,26 @@ exports.createProduct = async (req, res, next) => {
           else resolve(result);
         }
       );
-      uploadStream.end(req.file.buffer);
+      uploadStream.end(imageFile.buffer);
     });
     const imageId = crypto.randomUUID();
     const imageObject = { id: imageId, url: imageResult.secure_url };
 
+    await addVariantImages(productVariants, variantImageFiles(req.files));
+
     const product = await Product.create({
+      _id: productId,
       name,
       description,
       price: parseFloat(price),
-      size,
-      category: category.trim(),
+      variants: productVariants,
+      ...categoryFields(productCategory),
       images: [],
       image: imageObject.url, // Set main image
       isExplore: isExplore || false
     });
+    await syncProductSuggestion(product);
+
     // Images are already full Cloudinary URLs
     const productObj = product.toObject();
     productObj.images = transformProductImages(productObj);
@@ -161,10 +259,10 @@ exports.createProduct = async (req, res, next) => {
 
 // @desc    Update product
 // @route   POST /api/products/update/:id
-// @access  Public
+// @access  Private/Admin
 exports.updateProduct = async (req, res, next) => {
   try {
-    const { name, description, price, category, size, offerStrip } = req.body;
+    const { name, description, price, category, size, offerStrip, stock, lowStockThreshold, variants } = req.body;
 
     // Validate size if provided
     if (size && typeof size !== 'string') {
@@ -173,21 +271,50 @@ exports.updateProduct = async (req, res, next) => {
       return next(error);
     }
 
-    // Validate category if provided
-    if (category && (typeof category !== 'string' || category.trim() === '')) {
-      const error = new Error('Please provide a valid category name');
+    if (variants !== undefined && (size !== undefined || stock !== undefined || lowStockThreshold !== undefined)) {
+      const error = new Error('Send size and stock inside each variant when updating variants');
       error.statusCode = 400;
       return next(error);
     }
 
+    const imageFiles = variantImageFiles(req.files);
+    if (imageFiles.length > 0 && variants === undefined) {
+      const error = new Error('Please send the variants along with variant images');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+
+    const existingProduct = await Product.findById(req.params.id).select('variants');
+    if (!existingProduct) {
+      const error = new Error('Product not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
     let updateData = {
       name,
       description,
       price: parseFloat(price),
-      category: category ? category.trim() : undefined,
-      size
+      // category is a category id or title
+      ...(category && categoryFields(await resolveCategory(category)))
     };
 
+    // variants lists every variant the product keeps; size and stock alone
+    // update the only variant
+    let variantPlan = null;
+    if (variants !== undefined) {
+      variantPlan = planVariantUpdate(existingProduct.variants, variants);
+      await checkVariantsRemovable(existingProduct._id, variantPlan.removed);
+      await addVariantImages([...variantPlan.changed, ...variantPlan.added], imageFiles);
+    } else {
+      Object.assign(updateData, singleVariantUpdate(existingProduct, {
+        size,
+        stock: parseOptionalNumber(stock),
+        lowStockThreshold: parseOptionalNumber(lowStockThreshold)
+      }));
+    }
+
     // If new images uploaded, update images
     if (req.files && req.files.images && req.files.images.length > 0) {
       // Upload new images to Cloudinary
@@ -229,14 +356,16 @@ exports.updateProduct = async (req, res, next) => {
       updateData.images = []; // Set images to empty array
     }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const product = variantPlan
+      ? await saveVariantUpdate(req.params.id, variantPlan, updateData)
+      : await Product.findByIdAndUpdate(
+        req.params.id,
+        updateData,
+        {
+          new: true,
+          runValidators: true
+        }
+      );
 
     if (!product) {
       const error = new Error('Product not found');
@@ -244,6 +373,8 @@ exports.updateProduct = async (req, res, next) => {
       return next(error);
     }
 
+    await syncProductSuggestion(product);
+
     // Transform images from string to array of strings
     const productObj = product.toObject();
     productObj.images = transformProductImages(productObj);
@@ -253,14 +384,14 @@ exports.updateProduct = async (req, res, next) => {
       data: productObj
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
 
 // @desc    Delete product
 // @route   POST /api/products/delete/:id
-// @access  Public
+// @access  Private/Admin
 exports.deleteProduct = async (req, res, next) => {
   try {
     // Validate ID format
@@ -300,6 +431,7 @@ exports.deleteProduct = async (req, res, next) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await removeProductSuggestion(product._id);
 
     res.status(200).json({
       success: true,
@@ -313,7 +445,7 @@ exports.deleteProduct = async (req, res, next) => {
 
 // @desc    Create/Update offerStrip for a product
 // @route   POST /api/products/:id/offerstrip
-// @access  Public
+// @access  Private/Admin
 exports.createOfferStrip = async (req, res, next) => {
   try {
     const { offerStrip } = req.body;
@@ -356,7 +488,7 @@ exports.createOfferStrip = async (req, res, next) => {
 
 // @desc    Update offerStrip for a product
 // @route   PUT /api/products/:id/offerstrip
-// @access  Public
+// @access  Private/Admin
 exports.updateOfferStrip = async (req, res, next) => {
   try {
     const { offerStrip } = req.body;
@@ -406,7 +538,7 @@ exports.updateOfferStrip = async (req, res, next) => {
 
 // @desc    Delete offerStrip for a product
 // @route   DELETE /api/products/:id/offerstrip
-// @access  Public
+// @access  Private/Admin
 exports.deleteOfferStrip = async (req, res, next) => {
   try {
     const productId = req.params.id;
@@ -496,47 +628,237 @@ exports.getOfferStrip = async (req, res, next) => {
   }
 };
 
-// @desc    Search products
+// @desc    Set or adjust stock for a product variant
+// @route   POST /api/products/:id/stock
+// @access  Private/Admin
+exports.updateStock = async (req, res, next) => {
+  try {
+    const { stock, adjustment, lowStockThreshold, variant: variantRef } = req.body;
+
+    if (stock === undefined && adjustment === undefined && lowStockThreshold === undefined) {
+      const error = new Error('Please provide stock, adjustment or lowStockThreshold');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (stock !== undefined && adjustment !== undefined) {
+      const error = new Error('Provide either stock or adjustment, not both');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (adjustment !== undefined && !Number.isInteger(adjustment)) {
+      const error = new Error('Adjustment must be a whole number');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const existing = await Product.findById(req.params.id).select('name variants');
+
+    if (!existing) {
+      const error = new Error('Product not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    // variant is a variant id or SKU; optional for single-variant products
+    const variant = resolveVariant(existing, variantRef);
+
+    const update = {};
+    const match = { _id: variant._id };
+
+    if (stock !== undefined) update.$set = { 'variants.$.stock': stock };
+    if (lowStockThreshold !== undefined) update.$set = { ...update.$set, 'variants.$.lowStockThreshold': lowStockThreshold };
+
+    // Relative changes are applied atomically so they cannot overwrite concurrent orders
+    if (adjustment !== undefined) {
+      update.$inc = { 'variants.$.stock': adjustment };
+      match.stock = adjustment < 0 ? { $type: 'number', $gte: -adjustment } : { $type: 'number' };
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: existing._id, variants: { $elemMatch: match } },
+      update,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!product) {
+      const error = new Error('Stock is not tracked for this variant or would become negative');
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const updated = product.variants.id(variant._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: product._id,
+        name: product.name,
+        variant: {
+          _id: updated._id,
+          sku: updated.sku,
+          size: updated.size,
+          stock: updated.stock,
+          lowStockThreshold: updated.lowStockThreshold
+        }
+      }
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Get product variants at or below their low stock threshold
+// @route   GET /api/products/inventory/low-stock
+// @access  Private/Admin
+exports.getLowStockReport = async (req, res, next) => {
+  try {
+    const variants = await Product.aggregate([
+      { $match: { 'variants.stock': { $type: 'number' } } },
+      { $unwind: '$variants' },
+      {
+        $match: {
+          'variants.stock': { $type: 'number' },
+          $expr: {
+            $lte: ['$variants.stock', { $ifNull: ['$variants.lowStockThreshold', ordersConfig.lowStockThreshold] }]
+          }
+        }
+      },
+      { $sort: { 'variants.stock': 1, name: 1 } },
+      { $project: { name: 1, category: 1, categoryTitle: 1, image: 1, variants: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: variants.length,
+      data: variants.map(product => ({
+        _id: product._id,
+        name: product.name,
+        category: product.category,
+        categoryTitle: product.categoryTitle,
+        image: product.image,
+        variant: product.variants._id,
+        sku: product.variants.sku,
+        size: product.variants.size,
+        options: product.variants.options || {},
+        stock: product.variants.stock,
+        lowStockThreshold: product.variants.lowStockThreshold ?? ordersConfig.lowStockThreshold,
+        outOfStock: product.variants.stock === 0
+      }))
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Search products and accessories with relevance ranking and facets
 // @route   GET /api/products/search
 // @access  Public
 exports.searchProducts = async (req, res, next) => {
   try {
-    const { q, category } = req.query;
+    const { items, facets, pagination } = await searchCatalog(req.query);
 
-    let query = {};
+    if (req.query.q && pagination.total > 0) {
+      await recordSearchQuery(req.query.q);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items,
+      facets,
+      pagination
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Autocomplete product names, categories and popular searches
+// @route   GET /api/products/suggest
+// @access  Public
+exports.suggestProducts = async (req, res, next) => {
+  try {
+    const { q } = req.query;
 
-    // Search by name or description
-    if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ];
+    if (q !== undefined && typeof q !== 'string') {
+      const error = new Error('q must be a single search term');
+      error.statusCode = 400;
+      return next(error);
     }
 
-    // Filter by category
-    if (category) {
-      query.category = category;
+    if (q && q.length > searchConfig.maxQueryLength) {
+      const error = new Error(`Search term cannot be more than ${searchConfig.maxQueryLength} characters`);
+      error.statusCode = 400;
+      return next(error);
     }
 
-    const products = await Product.find(query).sort({ createdAt: -1 });
+    const suggestions = await getSuggestions(q || '');
 
-    // Images are already full Cloudinary URLs
-    const productsWithFullImage = products.map(product => product.toObject());
+    res.set('Cache-Control', `public, max-age=${searchConfig.suggest.cacheSeconds}`);
+    res.status(200).json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Rebuild the typo tolerant search data and autocomplete suggestions
+// @route   POST /api/products/search/reindex
+// @access  Private (catalog:write)
+exports.reindexSearch = async (req, res, next) => {
+  try {
+    const products = await Product.rebuildSearchIndex();
+    const accessories = await Accessory.rebuildSearchIndex();
+    const suggestions = await rebuildSuggestions();
+
+    logger.info(`Search index rebuilt by ${req.user._id}: ${products} products, ${accessories} accessories, ${suggestions} suggestions`);
 
     res.status(200).json({
       success: true,
-      count: productsWithFullImage.length,
-      data: productsWithFullImage
+      data: { products, accessories, suggestions }
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Bring products saved by older versions up to date: variants,
+//          category links and priceFrom
+// @route   POST /api/products/migrate
+// @access  Private (catalog:write)
+exports.migrateCatalog = async (req, res, next) => {
+  try {
+    const variants = await migrateProductVariants();
+    const categories = await migrateProductCategories();
+
+    logger.info(`Catalog migrated by ${req.user._id}: ${variants} products to variants, ${categories} to categories`);
+
+    res.status(200).json({
+      success: true,
+      data: { variants, categories }
+    });
+  } catch (error) {
+    logger.error('Catalog migration failed', error);
+    error.statusCode = error.statusCode || 500;
     next(error);
   }
 };
 
 // @desc    Upload video for a product
 // @route   POST /api/videoupload/:productId
-// @access  Public
+// @access  Private/Admin
 exports.uploadVideo = async (req, res, next) => {
   try {
     const { productId } = req.params;
@@ -599,7 +921,7 @@ exports.uploadVideo = async (req, res, next) => {
 
 // @desc    Update video for a product
 // @route   POST /api/videoupload/:productId
-// @access  Public
+// @access  Private/Admin
 exports.updateVideo = async (req, res, next) => {
   try {
     // Check if file was uploaded
@@ -662,7 +984,7 @@ exports.updateVideo = async (req, res, next) => {
 
 // @desc    Delete video for a product
 // @route   DELETE /api/videoupload/:productId
-// @access  Public
+// @access  Private/Admin
 exports.deleteVideo = async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.productId);
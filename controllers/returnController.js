@@ -0,0 +1,438 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Role = require('../models/Role');
+const cloudinary = require('../config/cloudinary');
+const ordersConfig = require('../config/orders');
+const { releaseStock } = require('../utils/inventory');
+const { refundOrder } = require('../utils/payments');
+const { roundMoney } = require('../utils/coupons');
+const logger = require('../utils/logger');
+
+const RETURN_POPULATE = [
+  { path: 'order', select: 'orderId status paymentStatus totalAmount refundedAmount deliveredAt' },
+  { path: 'user', select: 'firstName lastName email' },
+  { path: 'items.product', select: 'name image' },
+  { path: 'statusHistory.actor', select: 'firstName lastName' }
+];
+
+// Upload a photo buffer to Cloudinary
+const uploadPhoto = (file) => new Promise((resolve, reject) => {
+  const uploadStream = cloudinary.uploader.upload_stream(
+    { folder: 'returns' },
+    (error, result) => {
+      if (error) reject(error);
+      else resolve(result);
+    }
+  );
+  uploadStream.end(file.buffer);
+});
+
+// Items arrive as a JSON string when the request is multipart/form-data
+const parseItems = (items) => {
+  if (typeof items !== 'string') {
+    return items;
+  }
+
+  try {
+    return JSON.parse(items);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Quantity of each order line already covered by open or completed returns
+const returnedQuantities = async (orderId) => {
+  const existing = await ReturnRequest.find({ order: orderId, status: { $ne: 'rejected' } }).select('items');
+  const quantities = {};
+
+  for (const returnRequest of existing) {
+    for (const item of returnRequest.items) {
+      const key = item.orderLine.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    }
+  }
+
+  return quantities;
+};
+
+// Set returnedQuantity on order lines that have none yet (orders placed
+// before it was kept) from their existing returns
+const initReturnedQuantities = async (order) => {
+  const missing = order.products.filter(line => typeof line.returnedQuantity !== 'number');
+  if (missing.length === 0) {
+    return;
+  }
+
+  const returned = await returnedQuantities(order._id);
+
+  for (const line of missing) {
+    await Order.updateOne(
+      { _id: order._id, products: { $elemMatch: { _id: line._id, returnedQuantity: { $exists: false } } } },
+      { $set: { 'products.$.returnedQuantity': returned[line._id.toString()] || 0 } }
+    );
+  }
+};
+
+// Give back units reserved by reserveReturnQuantities. Lines whose
+// returnedQuantity was never set are left for initReturnedQuantities.
+const releaseReturnQuantities = async (orderId, items) => {
+  for (const item of items) {
+    await Order.updateOne(
+      {
+        _id: orderId,
+        products: { $elemMatch: { _id: item.orderLine, returnedQuantity: { $gte: item.quantity } } }
+      },
+      { $inc: { 'products.$.returnedQuantity': -item.quantity } }
+    );
+  }
+};
+
+// Reserve the units of a return on its order lines. Each increment only
+// matches while the line has that many units left to return, so concurrent
+// requests cannot return more than was ordered. Throws a 409 error (having
+// released what it reserved) when a line has too few units left.
+const reserveReturnQuantities = async (order, items) => {
+  await initReturnedQuantities(order);
+  const reserved = [];
+
+  for (const item of items) {
+    const line = order.products.id(item.orderLine);
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        products: { $elemMatch: { _id: line._id, returnedQuantity: { $lte: line.quantity - item.quantity } } }
+      },
+      { $inc: { 'products.$.returnedQuantity': item.quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseReturnQuantities(order._id, reserved);
+      const error = new Error(`Order line ${line._id} has fewer than ${item.quantity} unit(s) left to return`);
+      error.statusCode = 409;
+      throw error;
+    }
+    reserved.push(item);
+  }
+};
+
+// Load a return by its return number for a handler with returns:manage
+const findReturn = async (returnId) => {
+  const returnRequest = await ReturnRequest.findOne({ returnId });
+
+  if (!returnRequest) {
+    const error = new Error('Return not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return returnRequest;
+};
+
+const sendReturn = async (returnRequest, res, statusCode = 200) => {
+  await returnRequest.populate(RETURN_POPULATE);
+
+  res.status(statusCode).json({
+    success: true,
+    data: returnRequest
+  });
+};
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/returns
+// @access  Private
+exports.createReturn = async (req, res, next) => {
+  try {
+    const { orderId } = req.body;
+    const items = parseItems(req.body.items);
+
+    if (!orderId) {
+      const error = new Error('Please provide orderId');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      const error = new Error('Please provide an items array');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const order = await Order.findOne({ orderId, user: req.user._id });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    if (order.status !== 'delivered') {
+      const error = new Error('Returns can only be requested for delivered orders');
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    const windowEnds = new Date(deliveredAt.getTime() + ordersConfig.returnWindowDays * 24 * 60 * 60 * 1000);
+
+    if (Date.now() > windowEnds.getTime()) {
+      const error = new Error(`Returns must be requested within ${ordersConfig.returnWindowDays} days of delivery`);
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const alreadyReturned = await returnedQuantities(order._id);
+    const seenLines = new Set();
+    const returnItems = [];
+
+    for (const item of items) {
+      const line = item && item.orderLine ? order.products.id(item.orderLine) : null;
+
+      if (!line) {
+        const error = new Error(`Order line ${item && item.orderLine} not found in order ${order.orderId}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      const lineKey = line._id.toString();
+
+      if (seenLines.has(lineKey)) {
+        const error = new Error('Each order line can only appear once per return');
+        error.statusCode = 400;
+        return next(error);
+      }
+      seenLines.add(lineKey);
+
+      if (!ReturnRequest.RETURN_REASONS.includes(item.reason)) {
+        const error = new Error(`Invalid return reason. Use one of: ${ReturnRequest.RETURN_REASONS.join(', ')}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      const quantity = Number(item.quantity);
+      const returnable = line.quantity - (alreadyReturned[lineKey] || 0);
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        const error = new Error('Return quantity must be a whole number of at least 1');
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      if (quantity > returnable) {
+        const error = new Error(`Only ${returnable} unit(s) of order line ${lineKey} can be returned`);
+        error.statusCode = 409;
+        return next(error);
+      }
+
+      returnItems.push({
+        orderLine: line._id,
+        itemType: line.itemType,
+        product: line.product,
+        quantity,
+        price: roundMoney((line.price * line.quantity - (line.discount || 0)) / line.quantity),
+        reason: item.reason,
+        comment: item.comment
+      });
+    }
+
+    await reserveReturnQuantities(order, returnItems);
+
+    let returnRequest;
+    try {
+      // Photos are uploaded only once the request is known to be valid
+      const photos = [];
+      for (const file of req.files || []) {
+        const result = await uploadPhoto(file);
+        photos.push({ id: result.public_id, url: result.secure_url });
+      }
+
+      returnRequest = await ReturnRequest.create({
+        returnId: await ReturnRequest.generateReturnId(),
+        order: order._id,
+        user: req.user._id,
+        items: returnItems,
+        photos,
+        statusHistory: [{ status: 'requested', actor: req.user._id }]
+      });
+    } catch (error) {
+      await releaseReturnQuantities(order._id, returnItems);
+      throw error;
+    }
+
+    logger.info(`Return ${returnRequest.returnId} requested for order ${order.orderId}`);
+
+    await sendReturn(returnRequest, res, 201);
+  } catch (error) {
+    logger.error('Error creating return', error);
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Get returns requested by the current user
+// @route   GET /api/returns
+// @access  Private
+exports.getMyReturns = async (req, res, next) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user._id })
+      .populate([
+        { path: 'order', select: 'orderId' },
+        { path: 'items.product', select: 'name image' }
+      ])
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Get all returns, optionally filtered by status
+// @route   GET /api/returns/all
+// @access  Private (returns:manage)
+exports.getAllReturns = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .populate([
+        { path: 'order', select: 'orderId' },
+        { path: 'user', select: 'firstName lastName email' },
+        { path: 'items.product', select: 'name image' }
+      ])
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Get a return by its return number
+// @route   GET /api/returns/:id
+// @access  Private
+exports.getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id);
+
+    if (returnRequest.user.toString() !== req.user._id.toString() && !(await Role.userHasPermission(req.user, 'returns:manage'))) {
+      const error = new Error('Not authorized to access this return');
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    await sendReturn(returnRequest, res);
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Approve a requested return
+// @route   POST /api/returns/:id/approve
+// @access  Private (returns:manage)
+exports.approveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id);
+    const updated = await ReturnRequest.transitionStatus(returnRequest, 'approved', {
+      actor: req.user._id,
+      note: req.body.note
+    });
+
+    logger.info(`Return ${updated.returnId} approved by ${req.user._id}`);
+
+    await sendReturn(updated, res);
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Reject a requested return
+// @route   POST /api/returns/:id/reject
+// @access  Private (returns:manage)
+exports.rejectReturn = async (req, res, next) => {
+  try {
+    if (!req.body.note) {
+      const error = new Error('Please provide a note explaining the rejection');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const returnRequest = await findReturn(req.params.id);
+    const updated = await ReturnRequest.transitionStatus(returnRequest, 'rejected', {
+      actor: req.user._id,
+      note: req.body.note
+    });
+
+    // The units can be returned again
+    await releaseReturnQuantities(updated.order, updated.items);
+
+    logger.info(`Return ${updated.returnId} rejected by ${req.user._id}`);
+
+    await sendReturn(updated, res);
+  } catch (error) {
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
+
+// @desc    Mark returned goods as received: restock them and refund the payment
+// @route   POST /api/returns/:id/receive
+// @access  Private (returns:manage)
+exports.receiveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id);
+    const refundAmount = roundMoney(returnRequest.items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+    // The status change is atomic, so the steps below run at most once
+    const updated = await ReturnRequest.transitionStatus(returnRequest, 'received', {
+      actor: req.user._id,
+      note: req.body.note,
+      set: { receivedAt: new Date(), refundAmount }
+    });
+
+    const order = await Order.findById(updated.order);
+
+    // Only lines that took stock when ordered are put back
+    if (order && order.stockStatus === 'reserved') {
+      await releaseStock(updated.items.map((item) => {
+        const line = order.products.id(item.orderLine);
+
+        return {
+          itemType: item.itemType,
+          product: item.product,
+          variant: line && line.variant,
+          quantity: item.quantity,
+          stockReserved: Boolean(line && line.stockReserved)
+        };
+      }));
+    }
+
+    // Refund through the payment provider; orders that were never paid have nothing to refund
+    if (order) {
+      await refundOrder(order, refundAmount, `Return ${updated.returnId}`);
+    }
+
+    logger.info(`Return ${updated.returnId} received by ${req.user._id}, refund ${refundAmount}`);
+
+    await sendReturn(updated, res);
+  } catch (error) {
+    logger.error('Error receiving return', error);
+    error.statusCode = error.statusCode || 400;
+    next(error);
+  }
+};
@@ -0,0 +1,175 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Check a permission list from a request body. Returns an error to pass to
+// next, or null. Users may only grant permissions they hold themselves.
+const checkPermissions = async (user, permissions) => {
+  if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+    const error = new Error('Permissions must be an array of permission names');
+    error.statusCode = 400;
+    return error;
+  }
+
+  const ungrantable = await Role.ungrantablePermissions(user, permissions);
+  if (ungrantable.length > 0) {
+    const error = new Error(`You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`);
+    error.statusCode = 403;
+    return error;
+  }
+
+  return null;
+};
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+exports.getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Get all available permissions
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+exports.getPermissions = async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+exports.createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name) {
+      const error = new Error('Please provide a role name');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (permissions !== undefined) {
+      const error = await checkPermissions(req.user, permissions);
+      if (error) {
+        return next(error);
+      }
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: permissions || []
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const err = new Error('Role already exists with this name');
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Update role description and permissions
+// @route   POST /api/roles/:id/update
+// @access  Private (roles:manage)
+exports.updateRole = async (req, res, next) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      const error = new Error('Role not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    // The admin role always keeps full access so the system cannot be locked out
+    if (role.name === 'admin' && permissions !== undefined) {
+      const error = new Error('Permissions of the admin role cannot be changed');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    if (permissions !== undefined) {
+      const error = await checkPermissions(req.user, permissions);
+      if (error) {
+        return next(error);
+      }
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
+
+// @desc    Delete role
+// @route   POST /api/roles/:id/delete
+// @access  Private (roles:manage)
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      const error = new Error('Role not found');
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    if (role.isSystem) {
+      const error = new Error('Built-in roles cannot be deleted');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const usersWithRole = await User.countDocuments({ role: role.name });
+
+    if (usersWithRole > 0) {
+      const error = new Error(`Role is assigned to ${usersWithRole} user(s), reassign them first`);
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    await Role.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
+  }
+};
@@ -3,6 +3,10 @@ const path = require('path');
 const fs = require('fs');
 const cloudinary = require('../config/cloudinary');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { syncProductSuggestion, removeProductSuggestion } = require('../utils/suggestions');
+const { singleVariant, singleVariantUpdate } = require('../utils/variants');
+const { resolveCategory, categoryFields } = require('../utils/categories');
 
 // Helper function to extract public_id from Cloudinary URL
 const getPublicIdFromUrl = (url) => {
@@ -18,7 +22,7 @@ exports.getTrendingProducts = async (req, res, next) => {
     const products = await Product.find({ isTrending: true })
       .sort({ createdAt: -1 })
       .limit(10)
-      .select('_id name description price image subImg images category');
+      .select('_id name description price image subImg images category categoryTitle');
 
     const trendingProducts = products.map(product => {
       const productObj = product.toObject();
@@ -30,7 +34,8 @@ exports.getTrendingProducts = async (req, res, next) => {
         image: productObj.image,
         subImg: productObj.subImg,
         images: productObj.images && productObj.images.length > 0 ? transformProductImages(productObj) : [],
-        category: productObj.category
+        category: productObj.categoryTitle,
+        categoryId: productObj.category
       };
     });
 
@@ -94,7 +99,7 @@ exports.getTrendingProduct = async (req, res, next) => {
 
 // @desc    Create new trending product with image upload
 // @route   POST /api/trending
-// @access  Public
+// @access  Private/Admin
 exports.createTrendingProduct = async (req, res, next) => {
   try {
     const { name, description, price, category, size } = req.body;
@@ -106,6 +111,9 @@ exports.createTrendingProduct = async (req, res, next) => {
       return next(error);
     }
 
+    // category is a category id or title
+    const productCategory = await resolveCategory(category);
+
     // Check if files were uploaded
     if (!req.files || !req.files.image || req.files.image.length === 0) {
       const error = new Error('Please upload an image');
@@ -154,17 +162,22 @@ exports.createTrendingProduct = async (req, res, next) => {
       url: result.secure_url
     }));
 
+    const productId = new mongoose.Types.ObjectId();
+
+    // Trending products are sold in the one size given
     const product = await Product.create({
+      _id: productId,
       name,
       description,
       price: parseFloat(price),
-      size,
-      category,
+      variants: [singleVariant(productId, { size })],
+      ...categoryFields(productCategory),
       image: imageResults[0].secure_url, // Main image is the first uploaded image
       subImg: subImgUrl,
       images: imagesArray,
       isTrending: true
     });
+    await syncProductSuggestion(product);
 
     // Transform images to ensure array of objects
     const productObj = product.toObject();
@@ -182,7 +195,7 @@ exports.createTrendingProduct = async (req, res, next) => {
 
 // @desc    Update trending product
 // @route   POST /api/trending/update/:id
-// @access  Public
+// @access  Private/Admin
 exports.updateTrendingProduct = async (req, res, next) => {
   try {
     // Check if product is trending
@@ -206,8 +219,8 @@ exports.updateTrendingProduct = async (req, res, next) => {
       name,
       description,
       price: parseFloat(price),
-      category,
-      size
+      ...(category && categoryFields(await resolveCategory(category))),
+      ...singleVariantUpdate(existingProduct, { size })
     };
 
     // If new images uploaded, update images
@@ -301,6 +314,8 @@ exports.updateTrendingProduct = async (req, res, next) => {
       return next(error);
     }
 
+    await syncProductSuggestion(product);
+
     // Transform images to ensure array of objects
     const productObj = product.toObject();
     productObj.images = transformProductImages(productObj);
@@ -317,7 +332,7 @@ exports.updateTrendingProduct = async (req, res, next) => {
 
 // @desc    Delete trending product
 // @route   DELETE /api/trending/:id
-// @access  Public
+// @access  Private/Admin
 exports.deleteTrendingProduct = async (req, res, next) => {
   try {
     const product = await Product.findOne({ _id: req.params.id, isTrending: true });
@@ -356,6 +371,7 @@ exports.deleteTrendingProduct = async (req, res, next) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await removeProductSuggestion(product._id);
 
     res.status(200).json({
       success: true,
@@ -12,7 +12,7 @@ const getPublicIdFromUrl = (url) => {
 
 // @desc    Upload multiple images for a product or accessory
 // @route   POST /api/upload-images/:productId
-// @access  Public
+// @access  Private/Admin
 exports.uploadMultipleImages = async (req, res, next) => {
   try {
     const { productId } = req.params;
@@ -112,7 +112,7 @@ exports.uploadMultipleImages = async (req, res, next) => {
 
 // @desc    Delete specific images from a product or accessory
 // @route   DELETE /api/upload-images/:productId
-// @access  Public
+// @access  Private/Admin
 exports.deleteMultipleImages = async (req, res, next) => {
   try {
     const { productId } = req.params;
@@ -198,7 +198,7 @@ exports.deleteMultipleImages = async (req, res, next) => {
 
 // @desc    Delete images by index from a product or accessory
 // @route   POST /api/upload-images/:productId/delete-by-index
-// @access  Public
+// @access  Private/Admin
 exports.deleteImagesByIndex = async (req, res, next) => {
   try {
     const { productId } = req.params;
@@ -1,5 +1,6 @@
 const Video = require('../models/Video');
 const cloudinary = require('../config/cloudinary');
+const { listQuery } = require('../utils/listQuery');
 
 // Helper function to extract public_id from Cloudinary URL
 const getPublicIdFromUrl = (url) => {
@@ -9,7 +10,7 @@ const getPublicIdFromUrl = (url) => {
 
 // @desc    Upload video
 // @route   POST /api/videoupload
-// @access  Public
+// @access  Private/Admin
 exports.uploadVideo = async (req, res, next) => {
   try {
     const { title } = req.body;
@@ -57,20 +58,32 @@ exports.uploadVideo = async (req, res, next) => {
   }
 };
 
-// @desc    Get all videos
+// Query parameters accepted by GET /api/videoupload (see utils/listQuery.js)
+const VIDEO_LIST = {
+  sorts: {
+    newest: { field: 'createdAt', direction: -1, type: 'date' },
+    oldest: { field: 'createdAt', direction: 1, type: 'date' },
+    title: { field: 'title', direction: 1, type: 'string' },
+    '-title': { field: 'title', direction: -1, type: 'string' }
+  },
+  defaultSort: 'newest'
+};
+
+// @desc    Get videos, sorted and paginated
 // @route   GET /api/videoupload
 // @access  Public
 exports.getAllVideos = async (req, res, next) => {
   try {
-    const videos = await Video.find().sort({ createdAt: -1 });
+    const { items, pagination } = await listQuery(Video, req.query, VIDEO_LIST);
 
     res.status(200).json({
       success: true,
-      count: videos.length,
-      data: videos
+      count: items.length,
+      data: items,
+      pagination
     });
   } catch (error) {
-    error.statusCode = 400;
+    error.statusCode = error.statusCode || 400;
     next(error);
   }
 };
@@ -100,7 +113,7 @@ exports.getVideo = async (req, res, next) => {
 
 // @desc    Update video
 // @route   POST /api/videoupload/:id/update
-// @access  Public
+// @access  Private/Admin
 exports.updateVideo = async (req, res, next) => {
   try {
     const { title } = req.body;
@@ -166,7 +179,7 @@ exports.updateVideo = async (req, res, next) => {
 
 // @desc    Delete video
 // @route   POST /api/videoupload/:id/delete
-// @access  Public
+// @access  Private/Admin
 exports.deleteVideo = async (req, res, next) => {
   try {
     const video = await Video.findById(req.params.id);
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -21,8 +23,55 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Reject tokens whose session was logged out or revoked
+    if (!decoded.sid || !(await RefreshToken.isFamilyActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please log in again'
+      });
+    }
+
+    req.user = await User.findById(decoded.id);
+    req.sessionId = decoded.sid;
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// Like protect, but also accepts the 2fa-setup challenge token handed out at
+// login to users whose role requires two-factor authentication but who have
+// not enrolled yet. Only used on the enrollment routes.
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  let decoded = null;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+  }
+
+  if (!decoded || decoded.purpose !== '2fa-setup') {
+    return exports.protect(req, res, next);
+  }
+
+  try {
     req.user = await User.findById(decoded.id);
 
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    req.twoFactorSetupChallenge = true;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -32,7 +81,7 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
+// Grant access to specific roles (kept for backward compatibility, prefer requirePermission)
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -44,3 +93,31 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Grant access to users whose role holds all of the given permissions
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await Role.userHasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: `User role ${req.user && req.user.role} is not authorized to access this route`
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Only allow users who have verified their email address (use after protect)
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this route'
+    });
+  }
+  next();
+};
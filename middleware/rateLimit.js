@@ -0,0 +1,51 @@
+const RateLimitHit = require('../models/RateLimitHit');
+const logger = require('../utils/logger');
+
+// Sliding window rate limiter keyed by client IP.
+// Every request is recorded, then requests within the last windowMs are counted.
+exports.rateLimit = ({ name, windowMs, max, message }) => {
+  return async (req, res, next) => {
+    const key = `${name}:${req.ip}`;
+    const now = Date.now();
+    const windowStart = new Date(now - windowMs);
+
+    try {
+      await RateLimitHit.create({
+        key,
+        createdAt: new Date(now),
+        expiresAt: new Date(now + windowMs)
+      });
+
+      const hits = await RateLimitHit.countDocuments({
+        key,
+        createdAt: { $gt: windowStart }
+      });
+
+      if (hits <= max) {
+        return next();
+      }
+
+      // Retry once the oldest hit inside the window has expired
+      const oldest = await RateLimitHit.findOne({
+        key,
+        createdAt: { $gt: windowStart }
+      }).sort({ createdAt: 1 });
+
+      const retryAfter = oldest
+        ? Math.max(1, Math.ceil((oldest.createdAt.getTime() + windowMs - now) / 1000))
+        : Math.ceil(windowMs / 1000);
+
+      logger.warn(`Rate limit exceeded for ${key}`);
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: message || 'Too many requests, please try again later'
+      });
+    } catch (error) {
+      // Fail open so a database hiccup does not lock everyone out
+      logger.error(`Rate limiter failed for ${key}`, error);
+      next();
+    }
+  };
+};
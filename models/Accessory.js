@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
 
 const accessorySchema = new mongoose.Schema({
   name: {
@@ -32,4 +33,10 @@ const accessorySchema = new mongoose.Schema({
   }
 });
 
+// Full-text search (utils/catalogSearch.js)
+accessorySchema.plugin(searchable, {
+  weights: { name: 10 },
+  trigramFields: ['name']
+});
+
 module.exports = mongoose.model('Accessory', accessorySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    // Which catalog collection `item` points at
+    itemType: {
+      type: String,
+      enum: ['Product', 'Accessory'],
+      default: 'Product'
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'items.itemType',
+      required: true
+    },
+    // Product variant in the cart (products only)
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Quantity must be a whole number'
+      }
+    },
+    // Price when the item was added, used to flag price changes
+    priceAtAdd: {
+      type: Number,
+      min: [0, 'Price must be positive']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set while the cart is being checked out, so a repeated request does not
+  // place a second order for the same items
+  checkingOutAt: Date,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+cartSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code must be 3-32 letters, digits, "-" or "_"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    required: [true, 'Please add a coupon type']
+  },
+  // Percent off for percentage coupons, amount off for fixed coupons
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        if (this.type === 'percentage') return value > 0 && value <= 100;
+        if (this.type === 'fixed') return value > 0;
+        return true;
+      },
+      message: 'Percentage coupons need a value of 1-100 and fixed coupons a positive amount'
+    }
+  },
+  // Upper limit on a percentage discount
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Buy X get Y: for every buyQuantity + getQuantity eligible units, the
+  // getQuantity cheapest are free
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  // Order subtotal needed before the coupon applies
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Scope: if either list is set, only matching lines count towards the discount
+  products: [{
+    type: mongoose.Schema.ObjectId
+  }],
+  categories: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  }],
+  // null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y coupons need buyQuantity and getQuantity');
+  }
+
+  if ((this.type === 'percentage' || this.type === 'fixed') && !this.value) {
+    this.invalidate('value', 'Please add a coupon value');
+  }
+
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    this.invalidate('expiresAt', 'Coupon must expire after it starts');
+  }
+
+  next();
+});
+
+couponSchema.statics.COUPON_TYPES = COUPON_TYPES;
+
+module.exports = mongoose.model('Coupon', couponSchema);
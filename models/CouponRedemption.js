@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One row per order that used a coupon, for per-user limits and auditing.
+// Rows are written before the order is created, as the claim on a use.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  // Which of the user's uses this is (1..perUserLimit); null for coupons
+  // without a per-user limit
+  slot: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1, coupon: 1 }, { unique: true });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
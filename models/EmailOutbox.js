@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Email waiting to be delivered by the outbox worker (utils/emailOutbox.js).
+// pending -> sending -> sent, or back to pending with a later nextAttemptAt
+// after a failure, until maxAttempts is reached and the message is dead.
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Email must have a recipient'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Email must have a subject']
+  },
+  text: String,
+  html: String,
+  // Template or purpose, for filtering in the admin view
+  template: String,
+  // Bodies of sensitive messages (password reset and verification links)
+  // are hidden from the admin view and removed once sent
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: EMAIL_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // While sending, the claim expires at this time so a crashed worker's
+  // message is picked up again
+  lockedUntil: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  // Admin who last requeued a dead message
+  resentBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  resentAt: Date
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedUntil: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+
+emailOutboxSchema.statics.EMAIL_STATUSES = EMAIL_STATUSES;
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const ordersConfig = require('../config/orders');
+const invoiceConfig = require('../config/invoice');
+
+// Statuses an order may move to from each status. Delivered and cancelled
+// orders are final.
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Timestamp fields derived from the history when an order reaches a status
+const STATUS_TIMESTAMPS = {
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt'
+};
+
+// Copy of the shipping address taken when the order is placed, so later
+// edits or deletion of the address do not change the order
+const shippingDetailsSchema = new mongoose.Schema({
+  countryRegion: String,
+  firstName: String,
+  lastName: String,
+  address: String,
+  apartmentSuite: String,
+  city: String,
+  state: String,
+  pinCode: String,
+  phone: String
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   orderId: {
@@ -12,11 +45,28 @@ const orderSchema = new mongoose.Schema({
     required: [true, 'Order must belong to a user']
   },
   products: [{
+    // Which catalog collection `product` points at
+    itemType: {
+      type: String,
+      enum: ['Product', 'Accessory'],
+      default: 'Product'
+    },
     product: {
       type: mongoose.Schema.ObjectId,
-      ref: 'Product',
+      refPath: 'products.itemType',
       required: true
     },
+    // Product variant ordered (products only)
+    variant: mongoose.Schema.ObjectId,
+    // Snapshot of the catalog item when the order was placed
+    name: String,
+    image: String,
+    sku: String,
+    size: String,
+    options: {
+      type: Map,
+      of: String
+    },
     quantity: {
       type: Number,
       required: true,
@@ -26,8 +76,53 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: [0, 'Price must be positive']
-    }
+    },
+    // Share of coupon discounts allocated to this line
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount must be positive']
+    },
+    // Whether stock was taken for this line (false for untracked products)
+    stockReserved: {
+      type: Boolean,
+      default: false
+    },
+    // Units in returns that were not rejected, reserved atomically when a
+    // return is requested. Unset until the first return of the order.
+    returnedQuantity: Number
   }],
+  // Sum of price x quantity before discounts and shipping
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal must be positive']
+  },
+  shippingFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping fee must be positive']
+  },
+  // Coupons applied, kept so the total can be audited later
+  discounts: [{
+    coupon: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    description: String,
+    itemDiscount: Number,
+    shippingDiscount: Number,
+    amount: Number
+  }],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount total must be positive']
+  },
+  // subtotal + shippingFee - discountTotal
   totalAmount: {
     type: Number,
     required: true,
@@ -35,27 +130,265 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  // One entry per status change, oldest first
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: [...Object.keys(STATUS_TRANSITIONS), null],
+      default: null
+    },
+    to: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS),
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  shippedAt: Date,
+  deliveredAt: Date,
+  // Shipment tracking, set when the order is marked shipped
+  carrier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Carrier cannot be more than 100 characters']
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Tracking number cannot be more than 100 characters']
+  },
+  trackingUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Tracking URL cannot be more than 500 characters']
+  },
   shippingAddress: {
     type: mongoose.Schema.ObjectId,
     ref: 'Address',
     required: [true, 'Order must have a shipping address']
   },
+  shippingDetails: shippingDetailsSchema,
   paymentMethod: {
     type: String,
     required: [true, 'Payment method is required']
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
+  },
+  // Sequential invoice number, allocated when the order is first paid
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoicedAt: Date,
+  // Set while a request is allocating the invoice number, so only one
+  // request takes a number from the counter
+  invoicingAt: Date,
+  // Tax rate (percent, included in prices) when the invoice was issued
+  invoiceTaxRate: Number,
+  // Total refunded for received returns
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount must be positive']
+  },
+  // none: order predates inventory tracking, reserved: stock taken,
+  // released: stock given back after cancellation/deletion
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released'],
+    default: 'none'
+  },
+  // Client supplied Idempotency-Key and a hash of the request it was first used with
+  idempotencyKey: {
+    type: String,
+    select: false
+  },
+  idempotencyHash: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true
 });
 
-// Note: totalAmount is calculated in the controller to ensure accuracy
+// Admin order queue filters and sorts
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ paymentStatus: 1, createdAt: -1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+
+// An idempotency key can only be used once per user
+orderSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Generate a human-friendly order number: PREFIX-YYYYMMDD-NNNNN.
+// The sequence restarts every (UTC) day and comes from an atomic counter,
+// so concurrent requests never get the same number.
+orderSchema.statics.generateOrderId = async function() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const seq = await Counter.next(`order-${date}`);
+
+  return `${ordersConfig.orderIdPrefix}-${date}-${String(seq).padStart(5, '0')}`;
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+orderSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Move an order to a new status and record it in statusHistory.
+// The update only matches while the order is still in the status we checked,
+// so two concurrent changes cannot both apply. Throws an error with
+// statusCode 409 for transitions that are not allowed. fields are extra
+// values set in the same update (e.g. tracking details when shipping).
+orderSchema.statics.transitionStatus = async function(order, to, { actor, note, fields } = {}) {
+  const from = order.status;
+
+  if (!this.canTransition(from, to)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    const error = new Error(
+      `Cannot change order status from ${from} to ${to}` +
+      (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${from} orders cannot be changed)`)
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const at = new Date();
+  const set = { ...fields, status: to };
+
+  if (STATUS_TIMESTAMPS[to]) {
+    set[STATUS_TIMESTAMPS[to]] = at;
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: set,
+      $push: { statusHistory: { from, to, actor, note, at } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    const error = new Error('Order status was changed by another request, please retry');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return updated;
+};
+
+// How long a claim on an order's invoice number is honoured before another
+// request may take it over (the claiming request having died)
+const INVOICE_CLAIM_MS = 60 * 1000;
+
+// Give an order its invoice number if it does not have one yet. The order is
+// claimed before a number is taken from the counter, so concurrent requests
+// do not burn numbers and invoices stay sequential without gaps.
+// Returns the order's invoice number, or null while another request is
+// still assigning it.
+orderSchema.statics.assignInvoiceNumber = async function(orderId) {
+  const claimed = await this.findOneAndUpdate(
+    {
+      _id: orderId,
+      invoiceNumber: { $exists: false },
+      $or: [
+        { invoicingAt: { $exists: false } },
+        { invoicingAt: { $lt: new Date(Date.now() - INVOICE_CLAIM_MS) } }
+      ]
+    },
+    { invoicingAt: new Date() },
+    { new: true }
+  );
+
+  // Already numbered, or another request holds the claim
+  if (!claimed) {
+    const existing = await this.findById(orderId).select('invoiceNumber');
+    return existing && existing.invoiceNumber ? existing.invoiceNumber : null;
+  }
+
+  let seq;
+  try {
+    seq = await Counter.next('invoice');
+  } catch (error) {
+    await this.updateOne({ _id: orderId, invoicingAt: claimed.invoicingAt }, { $unset: { invoicingAt: 1 } });
+    throw error;
+  }
+
+  const invoiceNumber = `${invoiceConfig.prefix}-${String(seq).padStart(8, '0')}`;
+
+  await this.updateOne(
+    { _id: orderId, invoicingAt: claimed.invoicingAt },
+    {
+      invoiceNumber,
+      invoicedAt: new Date(),
+      invoiceTaxRate: invoiceConfig.taxRate,
+      $unset: { invoicingAt: 1 }
+    }
+  );
+
+  return invoiceNumber;
+};
+
+// Whether the order carries product and address snapshots (orders placed
+// before snapshots were introduced only have references)
+orderSchema.methods.hasSnapshot = function() {
+  return Boolean(this.shippingDetails && this.shippingDetails.firstName);
+};
+
+// Plain object for API responses. Line products and the shipping address are
+// built from the snapshot in the same shape a populate would give, so older
+// clients keep working; legacy orders keep whatever was populated.
+orderSchema.methods.toResponse = function() {
+  const order = this.toObject();
+  const refId = (value) => (value && value._id ? value._id : value);
+
+  if (!this.hasSnapshot()) {
+    return order;
+  }
+
+  order.products = order.products.map(line => ({
+    ...line,
+    product: {
+      _id: refId(line.product),
+      name: line.name,
+      image: line.image,
+      size: line.size,
+      price: line.price
+    }
+  }));
+
+  order.shippingAddress = {
+    _id: refId(order.shippingAddress),
+    ...order.shippingDetails
+  };
+
+  return order;
+};
+
+// Note: totalAmount is calculated in utils/placeOrder.js to ensure accuracy
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
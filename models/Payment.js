@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Provider name, e.g. cod or mock_card
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's id for this payment (intent id)
+  providerRef: {
+    type: String,
+    required: true
+  },
+  // Handed to the client to complete a card payment
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
+    default: 'pending'
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    providerRef: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Refunds requested from the provider and not yet recorded in refunds.
+  // They count against the amount left to refund (see utils/payments).
+  pendingRefunds: [{
+    // Set once the provider has accepted the refund
+    providerRef: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Webhook event ids already applied, so redelivered events are ignored
+  processedEvents: {
+    type: [String],
+    select: false
+  },
+  paidAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerRef: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,4 +1,62 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
+
+// One purchasable version of a product, e.g. size M in black
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Please add a variant SKU'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot be more than 64 characters']
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  // Other option values, e.g. { color: 'Black' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    default: null,
+    min: [0, 'Price cannot be negative']
+  },
+  // Units available; null means stock is not tracked for this variant
+  stock: {
+    type: Number,
+    default: null,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'Stock must be a whole number'
+    }
+  },
+  // Report the variant as low on stock at or below this level
+  // (falls back to LOW_STOCK_THRESHOLD when not set)
+  lowStockThreshold: {
+    type: Number,
+    default: null,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  images: {
+    type: [{
+      id: {
+        type: String,
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      }
+    }],
+    default: []
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -18,9 +76,11 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please add a price'],
     min: [0, 'Price cannot be negative']
   },
-  size: {
-    type: String,
-    required: [true, 'Please add a product size']
+  // Lowest price a variant sells at (its override, else price), which list
+  // price filters and sorts use. Kept current on save and on findOneAndUpdate;
+  // documents written another way are fixed by Product.syncPriceFrom().
+  priceFrom: {
+    type: Number
   },
   image: {
     type: String,
@@ -40,9 +100,16 @@ const productSchema = new mongoose.Schema({
     default: []
   },
   category: {
-    type: String,
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
     required: [true, 'Please add a product category']
   },
+  // Copy of the category title for search, filters and facets, kept in step
+  // by utils/categories.js
+  categoryTitle: {
+    type: String,
+    trim: true
+  },
   isExplore: {
     type: Boolean,
     default: false
@@ -51,6 +118,14 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // What is actually sold (see utils/variants.js); at least one per product
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Please add at least one product variant'
+    }
+  },
   offerStrip: {
     type: String,
     trim: true,
@@ -60,6 +135,76 @@ const productSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toObject: { virtuals: true },
+  toJSON: { virtuals: true },
+  id: false
+});
+
+// Sizes on offer, for clients that show a single size field
+productSchema.virtual('size').get(function() {
+  return [...new Set((this.variants || []).map(variant => variant.size).filter(Boolean))].join(', ');
+});
+
+productSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('price') || this.isModified('variants')) {
+    const prices = (this.variants || []).map(variant => (typeof variant.price === 'number' ? variant.price : this.price));
+    this.priceFrom = prices.length > 0 ? Math.min(...prices) : this.price;
+  }
+  next();
+});
+
+productSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const changed = Object.keys(update).flatMap(key => (key.startsWith('$') ? Object.keys(update[key]) : [key]));
+
+  // Price changes, and variants added, removed or repriced
+  const pricePaths = /^(price|variants|variants\..+\.price)$/;
+  if (!doc || !changed.some(path => pricePaths.test(path))) {
+    return;
+  }
+
+  await this.model.syncPriceFrom({ _id: doc._id });
+  const current = await this.model.findById(doc._id).select('priceFrom').lean();
+  if (current) {
+    doc.priceFrom = current.priceFrom;
+  }
 });
 
+// Recompute priceFrom for every product (or those matching filter), in the
+// database so concurrent price changes are not overwritten
+productSchema.statics.syncPriceFrom = function(filter = {}) {
+  const prices = {
+    $map: {
+      input: { $ifNull: ['$variants', []] },
+      as: 'variant',
+      in: { $ifNull: ['$$variant.price', '$price'] }
+    }
+  };
+
+  return this.updateMany(filter, [{ $set: { priceFrom: { $ifNull: [{ $min: prices }, '$price'] } } }]);
+};
+
+// Full-text search (utils/catalogSearch.js): name matches rank highest
+productSchema.plugin(searchable, {
+  weights: { name: 10, categoryTitle: 5, description: 2 },
+  trigramFields: ['name', 'categoryTitle']
+});
+
+// Indexes for the product list sorts and filters (utils/listQuery.js)
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ priceFrom: 1, _id: 1 });
+productSchema.index({ name: 1, _id: 1 });
+productSchema.index({ category: 1, createdAt: -1 });
+productSchema.index({ categoryTitle: 1, createdAt: -1 });
+productSchema.index({ 'variants.size': 1, createdAt: -1 });
+productSchema.index({ isExplore: 1, createdAt: -1 });
+productSchema.index({ isTrending: 1, createdAt: -1 });
+
+// SKUs are unique across the catalog
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One document per request counted by the rate limiter. Stored in MongoDB so
+// every API instance shares the same window.
+const rateLimitHitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitHitSchema.index({ key: 1, createdAt: -1 });
+
+// Let MongoDB remove hits that have left every window
+rateLimitHitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', rateLimitHitSchema);
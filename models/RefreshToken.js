@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token handed to the client; the plain token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token issued from the same login shares a family id
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: Date,
+  replacedBy: String,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'password-reset', 'admin']
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a plain refresh token for lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(String(token))
+    .digest('hex');
+};
+
+// Create a refresh token, returning the plain value alongside the document
+refreshTokenSchema.statics.issue = async function(userId, { family, expiresInDays, ip, userAgent }) {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { token, doc };
+};
+
+// Revoke every token in a family (logout or detected reuse)
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every session belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// A session is active while its family holds an unrevoked, unexpired token
+refreshTokenSchema.statics.isFamilyActive = async function(family) {
+  const token = await this.exists({
+    family,
+    revokedAt: null,
+    rotatedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const ordersConfig = require('../config/orders');
+
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'no_longer_needed',
+  'other'
+];
+
+// requested -> approved -> received, or requested -> rejected
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  rejected: [],
+  received: []
+};
+
+const returnRequestSchema = new mongoose.Schema({
+  returnId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [{
+      // _id of the line in order.products
+      orderLine: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+      },
+      itemType: {
+        type: String,
+        enum: ['Product', 'Accessory'],
+        default: 'Product'
+      },
+      product: {
+        type: mongoose.Schema.ObjectId,
+        refPath: 'items.itemType',
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+      },
+      // Unit price paid after coupon discounts
+      price: {
+        type: Number,
+        required: true,
+        min: [0, 'Price must be positive']
+      },
+      reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: [true, 'Please provide a return reason']
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Comment cannot be more than 1000 characters']
+      }
+    }],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A return must contain at least one item'
+    }
+  },
+  photos: [{
+    id: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    }
+  }],
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_TRANSITIONS),
+    default: 'requested'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: Object.keys(RETURN_TRANSITIONS),
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount must be positive']
+  },
+  receivedAt: Date
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+
+returnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+// Generate a return number: PREFIX-YYYYMMDD-NNNNN (daily sequence)
+returnRequestSchema.statics.generateReturnId = async function() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const seq = await Counter.next(`return-${date}`);
+
+  return `${ordersConfig.returnIdPrefix}-${date}-${String(seq).padStart(5, '0')}`;
+};
+
+// Move a return to a new status, recording who did it. Only matches while the
+// return is still in its current status, so a step cannot be applied twice.
+// Throws an error with statusCode 409 for steps that are not allowed.
+returnRequestSchema.statics.transitionStatus = async function(returnRequest, to, { actor, note, set = {} } = {}) {
+  const from = returnRequest.status;
+
+  if (!(RETURN_TRANSITIONS[from] || []).includes(to)) {
+    const error = new Error(`Cannot change return status from ${from} to ${to}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: returnRequest._id, status: from },
+    {
+      $set: { ...set, status: to },
+      $push: { statusHistory: { status: to, actor, note, at: new Date() } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    const error = new Error('Return was changed by another request, please retry');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return updated;
+};
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
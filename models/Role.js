@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES, permissionMatches } = require('../config/permissions');
+
+const isKnownPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) {
+    return true;
+  }
+
+  const resource = permission.endsWith(':*') && permission.slice(0, -2);
+  return !!resource && Object.keys(PERMISSIONS).some(key => key.startsWith(`${resource}:`));
+};
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, numbers and dashes'],
+    maxlength: [50, 'Role name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isKnownPermission),
+      message: 'Unknown permission in role'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create the built-in roles if they do not exist yet. Another instance
+// starting at the same time may insert a role first (duplicate key), which
+// leaves it in place just the same.
+roleSchema.statics.ensureDefaults = async function() {
+  for (const role of DEFAULT_ROLES) {
+    try {
+      await this.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, isSystem: true } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Permissions granted to a role name; falls back to the built-in definition
+roleSchema.statics.getPermissions = async function(name) {
+  const role = await this.findOne({ name }).select('permissions');
+
+  if (role) {
+    return role.permissions;
+  }
+
+  const builtIn = DEFAULT_ROLES.find(defaultRole => defaultRole.name === name);
+  return builtIn ? builtIn.permissions : [];
+};
+
+// Whether a user holds every one of the given permissions
+roleSchema.statics.userHasPermission = async function(user, ...required) {
+  if (!user) {
+    return false;
+  }
+
+  const granted = await this.getPermissions(user.role);
+  return required.every(permission => permissionMatches(granted, permission));
+};
+
+// Whether a user may assign a role: they must already hold every permission
+// the role grants, so nobody can hand out more access than they have
+roleSchema.statics.canAssign = async function(user, name) {
+  if (!user) {
+    return false;
+  }
+
+  const [granted, target] = await Promise.all([
+    this.getPermissions(user.role),
+    this.getPermissions(name)
+  ]);
+
+  return permissionMatches(granted, 'users:write') &&
+    target.every(permission => permissionMatches(granted, permission));
+};
+
+// Permissions of the list that a user does not hold, and so may not put on a
+// role, which would let them grant themselves (or others) more access
+roleSchema.statics.ungrantablePermissions = async function(user, permissions) {
+  const granted = user ? await this.getPermissions(user.role) : [];
+  return permissions.filter(permission => !permissionMatches(granted, permission));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
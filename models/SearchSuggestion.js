@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Prefix index behind GET /api/products/suggest (utils/suggestions.js).
+// One entry per product name, category title and popular search query.
+// keys holds the normalized text from each word onwards ("slim fit joggers",
+// "fit joggers", "joggers"), so typing the start of any word matches with an
+// anchored, index-backed prefix query.
+const SUGGESTION_KINDS = ['product', 'category', 'query'];
+
+const searchSuggestionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: SUGGESTION_KINDS,
+    required: true
+  },
+  // Text shown to the user
+  text: {
+    type: String,
+    required: true
+  },
+  // Normalized full text (lowercase words separated by single spaces)
+  key: String,
+  keys: [String],
+  // Product or Category the entry was built from
+  ref: mongoose.Schema.ObjectId,
+  image: String,
+  // Number of searches with results, for query entries
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: Date
+}, {
+  timestamps: true
+});
+
+searchSuggestionSchema.index({ kind: 1, keys: 1 });
+searchSuggestionSchema.index(
+  { kind: 1, ref: 1 },
+  { unique: true, partialFilterExpression: { ref: { $exists: true } } }
+);
+searchSuggestionSchema.index(
+  { kind: 1, key: 1 },
+  { unique: true, partialFilterExpression: { kind: 'query' } }
+);
+
+searchSuggestionSchema.statics.SUGGESTION_KINDS = SUGGESTION_KINDS;
+
+module.exports = mongoose.model('SearchSuggestion', searchSuggestionSchema);
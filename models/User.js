@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const security = require('../config/security');
+const { DEFAULT_ROLES } = require('../config/permissions');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -36,25 +40,230 @@ const userSchema = new mongoose.Schema({
   },
   verificationToken: String,
   verificationExpire: Date,
+  verificationSentAt: Date,
+  // Opted out of non-essential email (shipping and delivery updates).
+  // Receipts, cancellations, refunds and account emails are always sent.
+  emailOptOut: {
+    type: Boolean,
+    default: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, promoted to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Name of a Role document; permissions are resolved through the role
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: async function(value) {
+        return DEFAULT_ROLES.some(role => role.name === value) || !!(await Role.exists({ name: value }));
+      },
+      message: props => `Role ${props.value} does not exist`
+    }
   }
 }, {
   timestamps: true
 });
 
-// Store password as plain text (for demonstration purposes only)
-// WARNING: This is highly insecure and not recommended for production
+// bcrypt hashes look like $2a$12$<53 chars of salt + digest>
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Check whether a stored password value is already a bcrypt hash
+userSchema.statics.isPasswordHashed = function(password) {
+  return typeof password === 'string' && BCRYPT_HASH_REGEX.test(password);
+};
+
+// Recovery codes are compared case-insensitively and without the dash
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+// Encrypt password using bcrypt. Every new value is hashed, even one that
+// looks like a hash; legacy plain-text values are migrated by rehashPassword.
 userSchema.pre('save', async function(next) {
-  // Password is stored as plain text
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(security.bcryptSaltRounds);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Encrypt password when it is changed through findOneAndUpdate/findByIdAndUpdate
+userSchema.pre('findOneAndUpdate', async function(next) {
+  const update = this.getUpdate();
+  const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+
+  if (target.password === undefined) {
+    return next();
+  }
+
+  // Update validators would only see the hash, so check the length here
+  if (String(target.password).length < 6) {
+    const error = new Error('Password must be at least 6 characters');
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  const salt = await bcrypt.genSalt(security.bcryptSaltRounds);
+  target.password = await bcrypt.hash(String(target.password), salt);
   next();
 });
 
-// Match user entered password to plain text password in database
+// Match user entered password to hashed password in database.
+// Accounts created before hashing was introduced still hold plain text;
+// those are compared in constant time so the caller can re-hash them on login.
 userSchema.methods.matchPassword = async function(enteredPassword) {
-  return enteredPassword === this.password;
+  if (!User.isPasswordHashed(this.password)) {
+    const entered = Buffer.from(String(enteredPassword));
+    const stored = Buffer.from(String(this.password));
+
+    return entered.length === stored.length && crypto.timingSafeEqual(entered, stored);
+  }
+
+  return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Whether the stored password still needs to be migrated to bcrypt
+userSchema.methods.needsPasswordRehash = function() {
+  return !User.isPasswordHashed(this.password);
+};
+
+// Hash a legacy plain-text password in place. The update only applies while
+// the stored value is unchanged, so a concurrent password change wins.
+// Returns whether the password was rehashed.
+userSchema.methods.rehashPassword = async function() {
+  if (!this.needsPasswordRehash()) {
+    return false;
+  }
+
+  const salt = await bcrypt.genSalt(security.bcryptSaltRounds);
+  const hashed = await bcrypt.hash(String(this.password), salt);
+  const result = await User.updateOne({ _id: this._id, password: this.password }, { password: hashed });
+
+  return result.modifiedCount > 0;
+};
+
+// Whether the account is temporarily locked after repeated failed logins
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Record a failed login, locking the account once the limit is reached
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts');
+
+  if (updated && updated.failedLoginAttempts >= security.maxLoginAttempts) {
+    await User.updateOne(
+      { _id: this._id },
+      {
+        failedLoginAttempts: 0,
+        lockUntil: new Date(Date.now() + security.lockoutMinutes * 60 * 1000)
+      }
+    );
+  }
+};
+
+// Clear failed login tracking after a successful login
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return Promise.resolve();
+  }
+
+  return User.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Whether this user's role must use two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+  return security.twoFactorRequiredRoles.includes(this.role);
+};
+
+// Generate a fresh set of recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = [];
+
+  for (let i = 0; i < security.twoFactorRecoveryCodeCount; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  this.twoFactorRecoveryCodes = codes.map(code => hashRecoveryCode(code));
+
+  return codes;
+};
+
+// Consume a recovery code; returns false if it is unknown or already used.
+// The code is removed in a single update so it cannot be used twice.
+userSchema.methods.useRecoveryCode = async function(code) {
+  const hashed = hashRecoveryCode(code);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id, twoFactorRecoveryCodes: hashed },
+    { $pull: { twoFactorRecoveryCodes: hashed } },
+    { new: true }
+  ).select('+twoFactorRecoveryCodes');
+
+  if (!updated) {
+    return false;
+  }
+
+  this.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+  return true;
+};
+
+// Generate an email verification token, storing only its hash
+userSchema.methods.getVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.verificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.verificationExpire = Date.now() + security.verificationTokenExpireHours * 60 * 60 * 1000;
+  this.verificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
@@ -0,0 +1,64 @@
+const { trigrams } = require('../../utils/trigrams');
+
+// Make a catalog model searchable by utils/catalogSearch.js.
+//
+// options.weights: { field: weight } for the text index (relevance ranking)
+// options.trigramFields: fields whose words are stored as trigrams in
+//   searchTrigrams for typo tolerant matching
+//
+// searchTrigrams is kept current on save and on findOneAndUpdate (which
+// covers findByIdAndUpdate). Documents written another way, or created
+// before the plugin was added, are fixed by Model.rebuildSearchIndex().
+const searchable = (schema, { weights, trigramFields }) => {
+  schema.add({
+    searchTrigrams: {
+      type: [String],
+      select: false
+    }
+  });
+
+  schema.index(
+    Object.fromEntries(Object.keys(weights).map(field => [field, 'text'])),
+    { weights, name: 'search_text' }
+  );
+  schema.index({ searchTrigrams: 1 });
+
+  const trigramsOf = (doc) => trigrams(...trigramFields.map(field => doc[field]));
+
+  schema.pre('save', function(next) {
+    if (this.isNew || trigramFields.some(field => this.isModified(field))) {
+      this.searchTrigrams = trigramsOf(this);
+    }
+    next();
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    const update = this.getUpdate() || {};
+    const changed = Object.keys({ ...update, ...update.$set });
+
+    if (!doc || !trigramFields.some(field => changed.includes(field))) {
+      return;
+    }
+
+    const current = await this.model.findById(doc._id).select(trigramFields.join(' ')).lean();
+    if (current) {
+      await this.model.updateOne({ _id: doc._id }, { $set: { searchTrigrams: trigramsOf(current) } });
+    }
+  });
+
+  // Recompute searchTrigrams for every document (or those matching filter).
+  // Returns the number updated.
+  schema.statics.rebuildSearchIndex = async function(filter = {}) {
+    let updated = 0;
+    const cursor = this.find(filter).select(trigramFields.join(' ')).lean().cursor();
+
+    for await (const doc of cursor) {
+      await this.updateOne({ _id: doc._id }, { $set: { searchTrigrams: trigramsOf(doc) } });
+      updated++;
+    }
+
+    return updated;
+  };
+};
+
+module.exports = searchable;
@@ -8,6 +8,7 @@ const {
   updateAccessory,
   deleteAccessory
 } = require('../controllers/accessoryController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -77,8 +78,15 @@ const upload = multer({
  * @swagger
  * /api/accessories:
  *   get:
- *     summary: Get all accessories
+ *     summary: Get accessories, filtered, sorted and paginated
  *     tags: [Accessories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MinPriceParam'
+ *       - $ref: '#/components/parameters/MaxPriceParam'
+ *       - $ref: '#/components/parameters/CatalogSortParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *     responses:
  *       200:
  *         description: Accessories retrieved successfully
@@ -95,8 +103,10 @@ const upload = multer({
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Accessory'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Bad request
+ *         description: Invalid filter, sort, page, limit or cursor
  */
 router.get('/', getAccessories);
 
@@ -136,6 +146,8 @@ router.get('/:id', getAccessory);
  *   post:
  *     summary: Create new accessory with single image upload
  *     tags: [Accessories]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -171,8 +183,20 @@ router.get('/:id', getAccessory);
  *                   $ref: '#/components/schemas/Accessory'
  *       400:
  *         description: Bad request
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('image'), createAccessory);
+router.post('/', protect, requirePermission('catalog:write'), upload.single('image'), createAccessory);
 
 /**
  * @swagger
@@ -180,6 +204,8 @@ router.post('/', upload.single('image'), createAccessory);
  *   post:
  *     summary: Update accessory
  *     tags: [Accessories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -218,10 +244,22 @@ router.post('/', upload.single('image'), createAccessory);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Accessory'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Accessory not found
  */
-router.post('/update/:id', upload.array('images'), updateAccessory);
+router.post('/update/:id', protect, requirePermission('catalog:write'), upload.array('images'), updateAccessory);
 
 /**
  * @swagger
@@ -229,6 +267,8 @@ router.post('/update/:id', upload.array('images'), updateAccessory);
  *   post:
  *     summary: Delete accessory
  *     tags: [Accessories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -248,9 +288,21 @@ router.post('/update/:id', upload.array('images'), updateAccessory);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Accessory not found
  */
-router.post('/delete/:id', deleteAccessory);
+router.post('/delete/:id', protect, requirePermission('catalog:write'), deleteAccessory);
 
 module.exports = router;
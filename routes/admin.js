@@ -0,0 +1,388 @@
+const express = require('express');
+const { getAdminOrders } = require('../controllers/orderController');
+const { getEmails, getEmail, resendEmail } = require('../controllers/emailController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Back-office listings for staff
+ */
+
+/**
+ * @swagger
+ * /api/admin/orders:
+ *   get:
+ *     summary: List all orders (work queue)
+ *     description: |
+ *       Filters can be combined. Results are paged with an opaque cursor: pass pagination.nextCursor from
+ *       one page as cursor to get the next. summary holds order counts per status for all filters except status.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Status, or several separated by commas (e.g. pending,processing)
+ *       - in: query
+ *         name: paymentStatus
+ *         schema:
+ *           type: string
+ *         description: Payment status, or several separated by commas
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Placed on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Placed on or before this date
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Customer email (case-insensitive, partial match)
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Only orders containing this product or accessory ID
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search within the order number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [-createdAt, createdAt, -totalAmount, totalAmount]
+ *           default: -createdAt
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *     responses:
+ *       200:
+ *         description: A page of orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                 summary:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example:
+ *                     pending: 12
+ *                     processing: 4
+ *                     shipped: 30
+ *                     delivered: 210
+ *                     cancelled: 7
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing orders:read permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/orders', protect, requirePermission('orders:read'), getAdminOrders);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OutboxEmail:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         to:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         text:
+ *           type: string
+ *           description: Plain text body (only on the single email view, never for sensitive emails)
+ *         html:
+ *           type: string
+ *           description: HTML body (only on the single email view, never for sensitive emails)
+ *         template:
+ *           type: string
+ *           description: Template or purpose, e.g. order-shipped or account
+ *         sensitive:
+ *           type: boolean
+ *           description: Contains account tokens; the body is hidden and removed once sent
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, dead]
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         messageId:
+ *           type: string
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         resentBy:
+ *           type: string
+ *         resentAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/emails:
+ *   get:
+ *     summary: List outbox emails
+ *     description: |
+ *       Emails are queued and delivered by a background worker, which retries failures with exponential
+ *       backoff and marks a message dead after the configured number of attempts. Newest first; pass
+ *       pagination.nextBefore as before to get the next page. summary holds counts per status for all emails.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Status, or several separated by commas (pending, sending, sent, dead)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Recipient email address
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *         description: Template or purpose
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only emails created before this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Emails without their bodies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OutboxEmail'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextBefore:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                 summary:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example:
+ *                     pending: 3
+ *                     sending: 0
+ *                     sent: 1520
+ *                     dead: 2
+ *       400:
+ *         description: Invalid filter or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing emails:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/emails', protect, requirePermission('emails:manage'), getEmails);
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}:
+ *   get:
+ *     summary: Get an outbox email with its body
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The email (bodies of sensitive emails are omitted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OutboxEmail'
+ *       400:
+ *         description: Invalid email ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing emails:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Email not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/emails/:id', protect, requirePermission('emails:manage'), getEmail);
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}/resend:
+ *   post:
+ *     summary: Resend a dead email
+ *     description: Moves the email back to pending with a fresh set of delivery attempts.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Email queued for delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/OutboxEmail'
+ *       400:
+ *         description: Invalid email ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing emails:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Email not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The email is not dead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/emails/:id/resend', protect, requirePermission('emails:manage'), resendEmail);
+
+module.exports = router;
@@ -4,18 +4,35 @@ const {
   login,
   getMe,
   updateProfile,
+  unsubscribe,
   forgotPassword,
   resetPassword,
   logout,
+  refreshToken,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   createUserByAdmin,
   getAllUsers,
   updateUserById,
-  deleteUserById
+  deleteUserById,
+  migratePasswords
 } = require('../controllers/authController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectTwoFactorSetup, requirePermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const security = require('../config/security');
 
 const router = express.Router();
 
+const loginLimiter = rateLimit({ name: 'login', ...security.rateLimits.login });
+const forgotPasswordLimiter = rateLimit({ name: 'forgotpassword', ...security.rateLimits.forgotPassword });
+const registerLimiter = rateLimit({ name: 'register', ...security.rateLimits.register });
+const twoFactorLimiter = rateLimit({ name: 'twofactor', ...security.rateLimits.twoFactor });
+
 /**
  * @swagger
  * components:
@@ -40,14 +57,17 @@ const router = express.Router();
  *           description: The user's email
  *         password:
  *           type: string
- *           description: The user's password
+ *           writeOnly: true
+ *           description: The user's password (never returned)
  *         isVerified:
  *           type: boolean
  *           description: Whether the user is verified
+ *         emailOptOut:
+ *           type: boolean
+ *           description: Whether the user opted out of non-essential email (shipping and delivery updates)
  *         role:
  *           type: string
- *           enum: [user, admin]
- *           description: User role
+ *           description: Name of the user's role (see /api/roles)
  *         createdAt:
  *           type: string
  *           format: date
@@ -74,6 +94,10 @@ const router = express.Router();
  *           type: boolean
  *         token:
  *           type: string
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use refresh token, exchange it at /api/auth/refresh
  *         user:
  *           type: object
  *           properties:
@@ -85,6 +109,23 @@ const router = express.Router();
  *               type: string
  *             isVerified:
  *               type: boolean
+ *             twoFactorEnabled:
+ *               type: boolean
+ *
+ *     TwoFactorChallenge:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         twoFactorRequired:
+ *           type: boolean
+ *           description: Exchange challengeToken and a code at /api/auth/2fa/verify
+ *         twoFactorSetupRequired:
+ *           type: boolean
+ *           description: The user's role requires two-factor authentication; use challengeToken as bearer token for /api/auth/2fa/setup and /api/auth/2fa/enable
+ *         challengeToken:
+ *           type: string
+ *           description: Short-lived token for the second login step
  *
  *     Error:
  *       type: object
@@ -135,9 +176,8 @@ const router = express.Router();
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [user, admin]
  *                 default: user
- *                 description: User role (admin registration requires authentication)
+ *                 description: Role name (any role other than user requires an authenticated user allowed to assign it)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -163,8 +203,14 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/register', register);
+router.post('/register', registerLimiter, register);
 
 /**
  * @swagger
@@ -226,8 +272,8 @@ router.post('/register', register);
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [user, admin]
  *                 default: user
+ *                 description: Role name (see /api/roles)
  *     responses:
  *       201:
  *         description: User created successfully
@@ -259,9 +305,48 @@ router.post('/register', register);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/users', protect, authorize('admin'), getAllUsers);
-router.post('/users', protect, authorize('admin'), createUserByAdmin);
+router.get('/users', protect, requirePermission('users:read'), getAllUsers);
+router.post('/users', protect, requirePermission('users:write'), createUserByAdmin);
+
+
 
+/**
+ * @swagger
+ * /api/auth/users/migrate-passwords:
+ *   post:
+ *     summary: Hash all passwords still stored in plain text
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Password migration completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 migrated:
+ *                   type: integer
+ *                   description: Number of users whose password was hashed
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/users/migrate-passwords', protect, requirePermission('users:write'), migratePasswords);
 
 
 /**
@@ -297,8 +382,7 @@ router.post('/users', protect, authorize('admin'), createUserByAdmin);
  *                 description: The user's email
  *               role:
  *                 type: string
- *                 enum: [user, admin]
- *                 description: User role
+ *                 description: Role name (see /api/roles)
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -336,7 +420,7 @@ router.post('/users', protect, authorize('admin'), createUserByAdmin);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/users/:id', protect, authorize('admin'), updateUserById);
+router.post('/users/:id', protect, requirePermission('users:write'), updateUserById);
 
 /**
  * @swagger
@@ -390,7 +474,7 @@ router.post('/users/:id', protect, authorize('admin'), updateUserById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/users/:id/delete', protect, authorize('admin'), deleteUserById);
+router.post('/users/:id/delete', protect, requirePermission('users:delete'), deleteUserById);
 
 /**
  * @swagger
@@ -414,19 +498,27 @@ router.post('/users/:id/delete', protect, authorize('admin'), deleteUserById);
  *                 type: string
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: User logged in successfully, or a two-factor challenge when the account uses (or its role requires) two-factor authentication
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       401:
- *         description: Invalid credentials or password is wrong
+ *         description: Invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Account temporarily locked or too many attempts from this IP
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
 
 /**
  * @swagger
@@ -476,6 +568,9 @@ router.get('/me', protect, getMe);
  *               password:
  *                 type: string
  *                 description: The user's new password
+ *               emailOptOut:
+ *                 type: boolean
+ *                 description: Opt out of (true) or back into (false) shipping and delivery update emails
  *             example:
  *               firstName: John
  *               lastName: Doe
@@ -513,6 +608,47 @@ router.get('/me', protect, getMe);
  */
 router.post('/me', protect, updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/unsubscribe:
+ *   post:
+ *     summary: Opt out of non-essential email
+ *     description: |
+ *       Uses the token from the unsubscribe link in shipping and delivery emails, so no login is needed.
+ *       Receipts, cancellations, refunds and account emails are still sent.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User opted out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/unsubscribe', unsubscribe);
+
 /**
  * @swagger
  * /api/auth/forgotpassword:
@@ -532,7 +668,7 @@ router.post('/me', protect, updateProfile);
  *                 type: string
  *     responses:
  *       200:
- *         description: Reset token generated successfully
+ *         description: Reset link emailed if the account exists (the response is identical either way)
  *         content:
  *           application/json:
  *             schema:
@@ -542,20 +678,20 @@ router.post('/me', protect, updateProfile);
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 resetToken:
- *                   type: string
- *                   description: The reset token to use for password reset
- *                 expiresIn:
- *                   type: string
- *                   description: Token expiration time
- *       404:
- *         description: User not found
+ *       400:
+ *         description: Email missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/forgotpassword', forgotPassword);
+router.post('/forgotpassword', forgotPasswordLimiter, forgotPassword);
 
 /**
  * @swagger
@@ -598,11 +734,127 @@ router.post('/forgotpassword', forgotPassword);
 router.post('/resetpassword/:resettoken', resetPassword);
 
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Each refresh token can be used once. Presenting a token that was already rotated revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/verify/{token}:
+ *   get:
+ *     summary: Verify email address
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The verification token sent to email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid or expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/verify/:token', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify/resend:
+ *   post:
+ *     summary: Resend email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Email is already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: A verification email was sent too recently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify/resend', protect, resendVerification);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   get:
  *     summary: Logout user
+ *     description: Revokes the current session so its access and refresh tokens stop working
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -627,4 +879,228 @@ router.post('/resetpassword/:resettoken', resetPassword);
  */
 router.get('/logout', protect, logout);
 
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: User logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid challenge token or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/verify', twoFactorLimiter, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and an otpauth URI to render as a QR code. Accepts an access token or a 2fa-setup challenge token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Verifies a code against the pending secret and returns recovery codes (shown only once). With a 2fa-setup challenge token the response also contains the login tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code or setup not started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/enable', twoFactorLimiter, protectTwoFactorSetup, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/disable', twoFactorLimiter, protect, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes (previous codes stop working)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/recovery-codes', twoFactorLimiter, protect, regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
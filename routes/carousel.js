@@ -6,6 +6,7 @@ const {
   updateCarouselImage,
   deleteCarouselImage
 } = require('../controllers/carouselController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -109,6 +110,8 @@ router.get('/', getCarouselImages);
  *   post:
  *     summary: Upload a new carousel image
  *     tags: [Carousel]
+ *     security:
+ *       - bearerAuth: []
  *     description: |
  *       Uploads a new carousel image file. The image is uploaded to Cloudinary under the 'carousel' folder.
  *       The response returns the secure URL of the uploaded image from Cloudinary, which can be used to display the image.
@@ -126,38 +129,50 @@ router.get('/', getCarouselImages);
  *                 type: string
  *                 format: binary
  *                 description: Carousel image file
- *       responses:
- *         201:
- *           description: Carousel image uploaded successfully
- *           content:
- *             application/json:
- *               schema:
- *                 type: object
- *                 properties:
- *                   success:
- *                     type: boolean
- *                   message:
- *                     type: string
- *                   data:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         description: The unique ID of the uploaded carousel image
- *                       imageUrl:
- *                         type: string
- *                         description: URL of the uploaded image
- *                     example:
- *                       id: "60d5ecb74b24c72b8c8b4567"
- *                       imageUrl: "/uploads/image1.jpg"
- *         400:
- *           description: Bad request
- *           content:
- *             application/json:
- *               schema:
- *                 $ref: '#/components/schemas/Error'
+ *     responses:
+ *       201:
+ *         description: Carousel image uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: The unique ID of the uploaded carousel image
+ *                     imageUrl:
+ *                       type: string
+ *                       description: URL of the uploaded image
+ *                   example:
+ *                     id: "60d5ecb74b24c72b8c8b4567"
+ *                     imageUrl: "/uploads/image1.jpg"
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('image'), addCarouselImage);
+router.post('/', protect, requirePermission('catalog:write'), upload.single('image'), addCarouselImage);
 
 /**
  * @swagger
@@ -165,6 +180,8 @@ router.post('/', upload.single('image'), addCarouselImage);
  *   post:
  *     summary: Update carousel image
  *     tags: [Carousel]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -199,6 +216,18 @@ router.post('/', upload.single('image'), addCarouselImage);
  *                     imageUrl:
  *                       type: string
  *                       description: URL of the updated image
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Carousel image not found
  *         content:
@@ -206,7 +235,7 @@ router.post('/', upload.single('image'), addCarouselImage);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/update', upload.single('image'), updateCarouselImage);
+router.post('/update', protect, requirePermission('catalog:write'), upload.single('image'), updateCarouselImage);
 
 /**
  * @swagger
@@ -214,6 +243,8 @@ router.post('/update', upload.single('image'), updateCarouselImage);
  *   post:
  *     summary: Delete carousel image
  *     tags: [Carousel]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -238,6 +269,18 @@ router.post('/update', upload.single('image'), updateCarouselImage);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Carousel image not found
  *         content:
@@ -245,6 +288,6 @@ router.post('/update', upload.single('image'), updateCarouselImage);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/delete', deleteCarouselImage);
+router.post('/delete', protect, requirePermission('catalog:write'), deleteCarouselImage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,434 @@
+const express = require('express');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout
+} = require('../controllers/cartController');
+const { protect, requireVerified } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the cart
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *                 description: Cart line ID, used in /api/cart/items/{itemId} routes
+ *               itemType:
+ *                 type: string
+ *                 enum: [Product, Accessory]
+ *               item:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   image:
+ *                     type: string
+ *               variant:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Product variant (null for accessories)
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   sku:
+ *                     type: string
+ *                   size:
+ *                     type: string
+ *                   options:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *               quantity:
+ *                 type: integer
+ *               price:
+ *                 type: number
+ *                 description: Current catalog price (the variant price when it overrides the product price)
+ *               priceAtAdd:
+ *                 type: number
+ *                 description: Price when the item was added or last updated
+ *               lineTotal:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units in stock, or null if stock is not tracked
+ *         subtotal:
+ *           type: number
+ *           description: Sum of line totals at current prices
+ *         count:
+ *           type: integer
+ *           description: Number of lines in the cart
+ *         warnings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartWarning'
+ *       example:
+ *         id: 60d5ecb74b24c72b8c8b4580
+ *         items:
+ *           - _id: 60d5ecb74b24c72b8c8b4581
+ *             itemType: Product
+ *             item:
+ *               _id: 60d5ecb74b24c72b8c8b4569
+ *               name: Product name
+ *               image: https://example.com/image.jpg
+ *             variant:
+ *               _id: 60d5ecb74b24c72b8c8b4590
+ *               sku: TEE-BLK-M
+ *               size: M
+ *               options:
+ *                 color: Black
+ *             quantity: 2
+ *             price: 24.99
+ *             priceAtAdd: 29.99
+ *             lineTotal: 49.98
+ *             stock: 12
+ *         subtotal: 49.98
+ *         count: 1
+ *         warnings:
+ *           - type: price_changed
+ *             itemId: 60d5ecb74b24c72b8c8b4569
+ *             message: Price of Product name changed from 29.99 to 24.99
+ *
+ *     CartWarning:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [removed, out_of_stock, insufficient_stock, price_changed]
+ *         itemId:
+ *           type: string
+ *           description: Product or accessory ID
+ *         message:
+ *           type: string
+ *
+ *     CartItemInput:
+ *       type: object
+ *       required:
+ *         - itemId
+ *       properties:
+ *         itemId:
+ *           type: string
+ *           description: Product or accessory ID
+ *         itemType:
+ *           type: string
+ *           enum: [Product, Accessory]
+ *           default: Product
+ *         variant:
+ *           type: string
+ *           description: Variant id or SKU; required for products with more than one variant
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       example:
+ *         itemId: 60d5ecb74b24c72b8c8b4569
+ *         itemType: Product
+ *         variant: TEE-BLK-M
+ *         quantity: 2
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart for the current user
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get the current user's cart
+ *     description: Prices are recalculated from the catalog on every read. Items that were deleted from the catalog are removed and reported in warnings, along with stock shortages and price changes.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', protect, getCart);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add a product or accessory to the cart
+ *     description: Adding an item that is already in the cart increases its quantity.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartItemInput'
+ *     responses:
+ *       200:
+ *         description: Quantity of an existing line increased
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       201:
+ *         description: Item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid item type or quantity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product or accessory not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/items', protect, addCartItem);
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}/update:
+ *   post:
+ *     summary: Change the quantity of a cart line
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The cart line ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid quantity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cart line or catalog item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/items/:itemId/update', protect, updateCartItem);
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}/delete:
+ *   post:
+ *     summary: Remove a line from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The cart line ID
+ *     responses:
+ *       200:
+ *         description: Line removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Cart line not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/items/:itemId/delete', protect, removeCartItem);
+
+/**
+ * @swagger
+ * /api/cart/clear:
+ *   post:
+ *     summary: Remove every line from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ */
+router.post('/clear', protect, clearCart);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Place an order for the contents of the cart
+ *     description: Runs the same validation, pricing and stock reservation as POST /api/orders/add, then removes the ordered items from the cart. The cart is locked while it is checked out, so a repeated request gets 409 instead of a second order. Warnings found while re-pricing the cart are returned alongside the order.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shippingAddress
+ *               - paymentMethod
+ *             properties:
+ *               shippingAddress:
+ *                 type: string
+ *                 description: Shipping address ID
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment provider name, e.g. cod or mock_card
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional coupon code
+ *     responses:
+ *       201:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OrderResponse'
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CartWarning'
+ *       400:
+ *         description: Cart is empty or request is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email address not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Address not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Insufficient stock for one of the items, or the cart is already being checked out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/checkout', protect, requireVerified, checkout);
+
+module.exports = router;
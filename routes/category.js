@@ -7,6 +7,7 @@ const {
   updateCategory,
   deleteCategory
 } = require('../controllers/categoryController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -103,6 +104,8 @@ router.get('/', getCategories);
  *   post:
  *     summary: Create new category with image upload
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -138,15 +141,30 @@ router.get('/', getCategories);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('image'), createCategory);
+router.post('/', protect, requirePermission('catalog:write'), upload.single('image'), createCategory);
 
 /**
  * @swagger
  * /api/categories/{id}/update:
  *   post:
  *     summary: Update category
+ *     description: Renaming a category also renames it on its products and in coupon category limits.
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -180,6 +198,18 @@ router.post('/', upload.single('image'), createCategory);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Category not found
  *         content:
@@ -187,14 +217,19 @@ router.post('/', upload.single('image'), createCategory);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/update', upload.single('image'), updateCategory);
+router.post('/:id/update', protect, requirePermission('catalog:write'), upload.single('image'), updateCategory);
 
 /**
  * @swagger
  * /api/categories/{id}/delete:
  *   post:
  *     summary: Delete category
+ *     description: |
+ *       A category still used by products is only deleted with reassignTo, which moves its products
+ *       (and coupon category limits) to another category first.
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -202,6 +237,11 @@ router.post('/:id/update', upload.single('image'), updateCategory);
  *           type: string
  *         required: true
  *         description: The category id
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Id or title of the category to move the products to
  *     responses:
  *       200:
  *         description: Category deleted successfully
@@ -214,13 +254,40 @@ router.post('/:id/update', upload.single('image'), updateCategory);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *                 reassigned:
+ *                   type: integer
+ *                   description: Number of products moved to the reassignTo category
+ *       400:
+ *         description: reassignTo category not found or is the category being deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Category not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Category is still used by products and no reassignTo was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/delete', deleteCategory);
+router.post('/:id/delete', protect, requirePermission('catalog:write'), deleteCategory);
 
 module.exports = router;
@@ -6,6 +6,7 @@ const {
   updateContact,
   deleteContact
 } = require('../controllers/contactController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -95,6 +96,8 @@ const router = express.Router();
  *   get:
  *     summary: Get all contacts
  *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of contacts
@@ -108,8 +111,20 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get('/', getContacts);
+router.get('/', protect, requirePermission('contacts:read'), getContacts);
 
 /**
  * @swagger
@@ -159,6 +174,8 @@ router.post('/', createContact);
  *   get:
  *     summary: Get contact by ID
  *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -173,6 +190,18 @@ router.post('/', createContact);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ContactResponse'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Contact not found
  *         content:
@@ -186,7 +215,7 @@ router.post('/', createContact);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', getContactById);
+router.get('/:id', protect, requirePermission('contacts:read'), getContactById);
 
 /**
  * @swagger
@@ -194,6 +223,8 @@ router.get('/:id', getContactById);
  *   post:
  *     summary: Update contact by ID
  *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -233,6 +264,18 @@ router.get('/:id', getContactById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Contact not found
  *         content:
@@ -240,7 +283,7 @@ router.get('/:id', getContactById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id', updateContact);
+router.post('/:id', protect, requirePermission('contacts:write'), updateContact);
 
 /**
  * @swagger
@@ -248,6 +291,8 @@ router.post('/:id', updateContact);
  *   post:
  *     summary: Delete contact by ID
  *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -267,6 +312,18 @@ router.post('/:id', updateContact);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Contact not found
  *         content:
@@ -280,6 +337,6 @@ router.post('/:id', updateContact);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/delete', deleteContact);
+router.post('/:id/delete', protect, requirePermission('contacts:write'), deleteContact);
 
 module.exports = router;
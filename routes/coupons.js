@@ -0,0 +1,410 @@
+const express = require('express');
+const {
+  validateCoupon,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the coupon
+ *         code:
+ *           type: string
+ *           description: Code customers enter, stored in upper case
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping, buy_x_get_y]
+ *         value:
+ *           type: number
+ *           description: Percent off (percentage) or amount off (fixed)
+ *         maxDiscount:
+ *           type: number
+ *           nullable: true
+ *           description: Upper limit on a percentage discount
+ *         buyQuantity:
+ *           type: integer
+ *           description: Buy X get Y - units to buy
+ *         getQuantity:
+ *           type: integer
+ *           description: Buy X get Y - cheapest units made free per group
+ *         minOrderValue:
+ *           type: number
+ *           description: Order subtotal needed for the coupon to apply
+ *         products:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Product or accessory IDs the coupon is limited to
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: >-
+ *             Ids of the product categories the coupon is limited to. Titles are accepted on create and
+ *             update; when a category is deleted and its products moved, coupons follow them.
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Total uses allowed (null for unlimited)
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Uses allowed per customer (null for unlimited)
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         code: SUMMER20
+ *         description: 20% off summer collection
+ *         type: percentage
+ *         value: 20
+ *         maxDiscount: 500
+ *         minOrderValue: 999
+ *         categories: [60d5ecb74b24c72b8c8b4570]
+ *         usageLimit: 1000
+ *         perUserLimit: 1
+ *         expiresAt: 2024-08-31T23:59:59.000Z
+ *         isActive: true
+ *
+ *     OrderDiscount:
+ *       type: object
+ *       properties:
+ *         coupon:
+ *           type: string
+ *         code:
+ *           type: string
+ *         type:
+ *           type: string
+ *         description:
+ *           type: string
+ *         itemDiscount:
+ *           type: number
+ *           description: Discount taken off the items
+ *         shippingDiscount:
+ *           type: number
+ *           description: Discount taken off shipping
+ *         amount:
+ *           type: number
+ *           description: itemDiscount + shippingDiscount
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Coupon and promo code management
+ */
+
+/**
+ * @swagger
+ * /api/coupons/validate:
+ *   post:
+ *     summary: Preview a coupon
+ *     description: Prices the given products (or the current cart when products is omitted) with the coupon applied, without placing an order or using up the coupon.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemType:
+ *                       type: string
+ *                       enum: [Product, Accessory]
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: Variant id or SKU (products with several variants)
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Coupon applies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     subtotal:
+ *                       type: number
+ *                     shippingFee:
+ *                       type: number
+ *                     discounts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrderDiscount'
+ *                     discountTotal:
+ *                       type: number
+ *                     totalAmount:
+ *                       type: number
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: string
+ *                           variant:
+ *                             type: string
+ *                           sku:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           price:
+ *                             type: number
+ *                           discount:
+ *                             type: number
+ *       400:
+ *         description: Coupon expired, not yet active, used up, below minimum order value or not applicable to these items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon or product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/validate', protect, validateCoupon);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: Get all coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *       403:
+ *         description: Missing coupons:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid coupon or code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing coupons:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', protect, requirePermission('coupons:manage'), getCoupons);
+router.post('/', protect, requirePermission('coupons:manage'), createCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: The coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', protect, requirePermission('coupons:manage'), getCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}/update:
+ *   post:
+ *     summary: Update a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Coupon ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/update', protect, requirePermission('coupons:manage'), updateCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}/delete:
+ *   post:
+ *     summary: Delete a coupon
+ *     description: Orders keep the code and discount they were placed with.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/delete', protect, requirePermission('coupons:manage'), deleteCoupon);
+
+module.exports = router;
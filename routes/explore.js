@@ -8,6 +8,7 @@ const {
   updateExploreProduct,
   deleteExploreProduct
 } = require('../controllers/exploreController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -64,7 +65,10 @@ const upload = multer({
  *           description: Array of URLs for all product images
  *         category:
  *           type: string
- *           description: The product category
+ *           description: Category title
+ *         categoryId:
+ *           type: string
+ *           description: Category id
  *         size:
  *           type: string
  *           description: The product size
@@ -99,7 +103,33 @@ const upload = multer({
  * /api/explore:
  *   get:
  *     summary: Get explore collection grouped by category
+ *     description: |
+ *       Products are filtered, sorted and paginated before grouping, so a page holds up to limit products
+ *       across all categories (all of them when no page, limit or cursor is given). data lists every category with matching products, including those with
+ *       none on this page.
  *     tags: [Explore]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category title, or several separated by commas
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *         description: Category id, or several separated by commas
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Size, or several separated by commas
+ *       - $ref: '#/components/parameters/MinPriceParam'
+ *       - $ref: '#/components/parameters/MaxPriceParam'
+ *       - $ref: '#/components/parameters/CatalogSortParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *     responses:
  *       200:
  *         description: Explore collection retrieved successfully, grouped by category
@@ -125,6 +155,9 @@ const upload = multer({
  *                           type: string
  *                         price:
  *                           type: number
+ *                         priceFrom:
+ *                           type: number
+ *                           description: Lowest variant price
  *                         image:
  *                           type: string
  *                         images:
@@ -133,6 +166,11 @@ const upload = multer({
  *                             type: string
  *                         category:
  *                           type: string
+ *                           description: Category title
+ *                         categoryId:
+ *                           type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *             example:
  *               success: true
  *               message: "Discover premium fitness wear for every workout"
@@ -154,8 +192,15 @@ const upload = multer({
  *                     category: "Joggers"
  *                 "Shorts": []
  *                 "Stringers": []
+ *               pagination:
+ *                 total: 2
+ *                 page: 1
+ *                 pages: 1
+ *                 limit: null
+ *                 hasMore: false
+ *                 nextCursor: null
  *       400:
- *         description: Bad request
+ *         description: Invalid filter, sort, page, limit or cursor
  *         content:
  *           application/json:
  *             schema:
@@ -169,6 +214,8 @@ router.get('/', getExploreCollection);
  *   post:
  *     summary: Create new product for explore collection with image upload
  *     tags: [Explore]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -192,7 +239,7 @@ router.get('/', getExploreCollection);
  *                 description: Product price
  *               category:
  *                 type: string
- *                 description: Product category
+ *                 description: Category id or title (must be an existing category)
  *               size:
  *                 type: string
  *                 description: Product size
@@ -218,8 +265,20 @@ router.get('/', getExploreCollection);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('image'), createExploreProduct);
+router.post('/', protect, requirePermission('catalog:write'), upload.single('image'), createExploreProduct);
 
 /**
  * @swagger
@@ -255,7 +314,7 @@ router.post('/', upload.single('image'), createExploreProduct);
  */
 router.get('/:id', getExploreProduct);
 
-router.post('/update/:id', upload.single('image'), updateExploreProduct);
+router.post('/update/:id', protect, requirePermission('catalog:write'), upload.single('image'), updateExploreProduct);
 
 /**
  * @swagger
@@ -263,6 +322,8 @@ router.post('/update/:id', upload.single('image'), updateExploreProduct);
  *   post:
  *     summary: Update explore product
  *     tags: [Explore]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -288,7 +349,7 @@ router.post('/update/:id', upload.single('image'), updateExploreProduct);
  *                 description: Product price
  *               category:
  *                 type: string
- *                 description: Product category
+ *                 description: Category id or title (must be an existing category)
  *               size:
  *                 type: string
  *                 description: Product size
@@ -308,6 +369,18 @@ router.post('/update/:id', upload.single('image'), updateExploreProduct);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/ExploreProduct'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Explore product not found
  *         content:
@@ -321,6 +394,8 @@ router.post('/update/:id', upload.single('image'), updateExploreProduct);
  *   post:
  *     summary: Delete explore product
  *     tags: [Explore]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -340,6 +415,18 @@ router.post('/update/:id', upload.single('image'), updateExploreProduct);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Explore product not found
  *         content:
@@ -347,6 +434,6 @@ router.post('/update/:id', upload.single('image'), updateExploreProduct);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/delete/:id', deleteExploreProduct);
+router.post('/delete/:id', protect, requirePermission('catalog:write'), deleteExploreProduct);
 
 module.exports = router;
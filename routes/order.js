@@ -2,11 +2,13 @@ const express = require('express');
 const {
   addOrder,
   getOrder,
+  getInvoice,
   getUserOrders,
   updateOrderStatus,
+  cancelOrder,
   deleteOrder
 } = require('../controllers/orderController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requireVerified, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -27,7 +29,7 @@ const router = express.Router();
  *           description: The auto-generated id of the order
  *         orderId:
  *           type: string
- *           description: The unique order identifier
+ *           description: Server-generated order number (PREFIX-YYYYMMDD-NNNNN)
  *         user:
  *           type: string
  *           description: The user ID who placed the order
@@ -36,32 +38,124 @@ const router = express.Router();
  *           items:
  *             type: object
  *             properties:
+ *               itemType:
+ *                 type: string
+ *                 enum: [Product, Accessory]
  *               product:
+ *                 type: object
+ *                 description: Product snapshot taken when the order was placed
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   image:
+ *                     type: string
+ *                   size:
+ *                     type: string
+ *                   price:
+ *                     type: number
+ *               variant:
+ *                 type: string
+ *                 description: Product variant ordered (products only)
+ *               sku:
+ *                 type: string
+ *               size:
  *                 type: string
- *                 description: Product ID
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
  *               quantity:
  *                 type: integer
  *                 description: Quantity of the product
  *               price:
  *                 type: number
  *                 description: Price per unit at the time of order
+ *               discount:
+ *                 type: number
+ *                 description: Share of coupon discounts allocated to this line
+ *         subtotal:
+ *           type: number
+ *           description: Sum of price x quantity before discounts and shipping
+ *         shippingFee:
+ *           type: number
+ *         discounts:
+ *           type: array
+ *           description: Coupons applied and what each took off
+ *           items:
+ *             $ref: '#/components/schemas/OrderDiscount'
+ *         discountTotal:
+ *           type: number
  *         totalAmount:
  *           type: number
- *           description: Total amount of the order
+ *           description: subtotal + shippingFee - discountTotal
  *         status:
  *           type: string
  *           enum: [pending, processing, shipped, delivered, cancelled]
  *           description: Current status of the order
- *         shippingAddress:
+ *         statusHistory:
+ *           type: array
+ *           description: Status changes, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusChange'
+ *         shippedAt:
  *           type: string
- *           description: Shipping address ID
+ *           format: date-time
+ *           description: When the order was marked shipped
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the order was marked delivered
+ *         carrier:
+ *           type: string
+ *           description: Shipping carrier, set when the order is marked shipped
+ *         trackingNumber:
+ *           type: string
+ *           description: Carrier tracking number
+ *         trackingUrl:
+ *           type: string
+ *           description: Link to the carrier's tracking page
+ *         shippingAddress:
+ *           type: object
+ *           description: Shipping address as it was when the order was placed (with the original address ID as _id)
+ *           properties:
+ *             _id:
+ *               type: string
+ *             countryRegion:
+ *               type: string
+ *             firstName:
+ *               type: string
+ *             lastName:
+ *               type: string
+ *             address:
+ *               type: string
+ *             apartmentSuite:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             pinCode:
+ *               type: string
+ *             phone:
+ *               type: string
  *         paymentMethod:
  *           type: string
- *           description: Payment method used
+ *           description: Payment provider used (see GET /api/payments/methods)
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, paid, failed, partially_refunded, refunded]
  *           description: Payment status
+ *         refundedAmount:
+ *           type: number
+ *           description: Total refunded for received returns
+ *         invoiceNumber:
+ *           type: string
+ *           description: Sequential invoice number, allocated when the order is paid
+ *         invoicedAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date
@@ -72,16 +166,30 @@ const router = express.Router();
  *           description: The date the order was updated
  *       example:
  *         id: 60d5ecb74b24c72b8c8b4567
- *         orderId: 550e8400-e29b-41d4-a716-446655440000
+ *         orderId: ORD-20231001-00042
  *         user: 60d5ecb74b24c72b8c8b4568
  *         products:
- *           - product: 60d5ecb74b24c72b8c8b4569
+ *           - product:
+ *               _id: 60d5ecb74b24c72b8c8b4569
+ *               name: Product name
+ *               image: https://example.com/image.jpg
+ *               size: M
+ *               price: 29.99
  *             quantity: 2
  *             price: 29.99
  *         totalAmount: 59.98
  *         status: pending
- *         shippingAddress: 60d5ecb74b24c72b8c8b4570
- *         paymentMethod: credit_card
+ *         shippingAddress:
+ *           _id: 60d5ecb74b24c72b8c8b4570
+ *           countryRegion: India
+ *           firstName: First name
+ *           lastName: Last name
+ *           address: Address
+ *           city: City
+ *           state: Andaman and Nicobar Islands
+ *           pinCode: PIN code
+ *           phone: +91 Phone
+ *         paymentMethod: mock_card
  *         paymentStatus: pending
  *         createdAt: 2023-10-01T10:00:00.000Z
  *         updatedAt: 2023-10-01T10:00:00.000Z
@@ -89,14 +197,10 @@ const router = express.Router();
  *     OrderInput:
  *       type: object
  *       required:
- *         - orderId
  *         - products
  *         - shippingAddress
  *         - paymentMethod
  *       properties:
- *         orderId:
- *           type: string
- *           description: Unique order identifier
  *         products:
  *           type: array
  *           items:
@@ -105,9 +209,17 @@ const router = express.Router();
  *               - product
  *               - quantity
  *             properties:
+ *               itemType:
+ *                 type: string
+ *                 enum: [Product, Accessory]
+ *                 default: Product
+ *                 description: Whether product refers to a product or an accessory
  *               product:
  *                 type: string
- *                 description: Product ID
+ *                 description: Product or accessory ID
+ *               variant:
+ *                 type: string
+ *                 description: Variant id or SKU; required for products with more than one variant
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -117,14 +229,17 @@ const router = express.Router();
  *           description: Shipping address ID
  *         paymentMethod:
  *           type: string
- *           description: Payment method
+ *           description: Payment provider name, e.g. cod or mock_card (see GET /api/payments/methods)
+ *         couponCode:
+ *           type: string
+ *           description: Optional coupon code
  *       example:
- *         orderId: 550e8400-e29b-41d4-a716-446655440000
  *         products:
  *           - product: 60d5ecb74b24c72b8c8b4569
+ *             variant: TEE-BLK-M
  *             quantity: 2
  *         shippingAddress: 60d5ecb74b24c72b8c8b4570
- *         paymentMethod: credit_card
+ *         paymentMethod: mock_card
  *
  *     OrderResponse:
  *       type: object
@@ -132,6 +247,9 @@ const router = express.Router();
  *         id:
  *           type: string
  *           description: The auto-generated id of the order
+ *         orderId:
+ *           type: string
+ *           description: Server-generated order number, used in /api/orders/{id} routes
  *         user:
  *           type: string
  *           description: The user ID who placed the order
@@ -140,32 +258,124 @@ const router = express.Router();
  *           items:
  *             type: object
  *             properties:
+ *               itemType:
+ *                 type: string
+ *                 enum: [Product, Accessory]
  *               product:
+ *                 type: object
+ *                 description: Product snapshot taken when the order was placed
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   image:
+ *                     type: string
+ *                   size:
+ *                     type: string
+ *                   price:
+ *                     type: number
+ *               variant:
+ *                 type: string
+ *                 description: Product variant ordered (products only)
+ *               sku:
  *                 type: string
- *                 description: Product ID
+ *               size:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
  *               quantity:
  *                 type: integer
  *                 description: Quantity of the product
  *               price:
  *                 type: number
  *                 description: Price per unit at the time of order
+ *               discount:
+ *                 type: number
+ *                 description: Share of coupon discounts allocated to this line
+ *         subtotal:
+ *           type: number
+ *           description: Sum of price x quantity before discounts and shipping
+ *         shippingFee:
+ *           type: number
+ *         discounts:
+ *           type: array
+ *           description: Coupons applied and what each took off
+ *           items:
+ *             $ref: '#/components/schemas/OrderDiscount'
+ *         discountTotal:
+ *           type: number
  *         totalAmount:
  *           type: number
- *           description: Total amount of the order
+ *           description: subtotal + shippingFee - discountTotal
  *         status:
  *           type: string
  *           enum: [pending, processing, shipped, delivered, cancelled]
  *           description: Current status of the order
- *         shippingAddress:
+ *         statusHistory:
+ *           type: array
+ *           description: Status changes, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusChange'
+ *         shippedAt:
  *           type: string
- *           description: Shipping address ID
+ *           format: date-time
+ *           description: When the order was marked shipped
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the order was marked delivered
+ *         carrier:
+ *           type: string
+ *           description: Shipping carrier, set when the order is marked shipped
+ *         trackingNumber:
+ *           type: string
+ *           description: Carrier tracking number
+ *         trackingUrl:
+ *           type: string
+ *           description: Link to the carrier's tracking page
+ *         shippingAddress:
+ *           type: object
+ *           description: Shipping address as it was when the order was placed (with the original address ID as _id)
+ *           properties:
+ *             _id:
+ *               type: string
+ *             countryRegion:
+ *               type: string
+ *             firstName:
+ *               type: string
+ *             lastName:
+ *               type: string
+ *             address:
+ *               type: string
+ *             apartmentSuite:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             pinCode:
+ *               type: string
+ *             phone:
+ *               type: string
  *         paymentMethod:
  *           type: string
- *           description: Payment method used
+ *           description: Payment provider used (see GET /api/payments/methods)
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, paid, failed, partially_refunded, refunded]
  *           description: Payment status
+ *         refundedAmount:
+ *           type: number
+ *           description: Total refunded for received returns
+ *         invoiceNumber:
+ *           type: string
+ *           description: Sequential invoice number, allocated when the order is paid
+ *         invoicedAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date
@@ -176,19 +386,59 @@ const router = express.Router();
  *           description: The date the order was updated
  *       example:
  *         id: 60d5ecb74b24c72b8c8b4567
+ *         orderId: ORD-20231001-00042
  *         user: 60d5ecb74b24c72b8c8b4568
  *         products:
- *           - product: 60d5ecb74b24c72b8c8b4569
+ *           - product:
+ *               _id: 60d5ecb74b24c72b8c8b4569
+ *               name: Product name
+ *               image: https://example.com/image.jpg
+ *               size: M
+ *               price: 29.99
  *             quantity: 2
  *             price: 29.99
  *         totalAmount: 59.98
  *         status: pending
- *         shippingAddress: 60d5ecb74b24c72b8c8b4570
- *         paymentMethod: credit_card
+ *         shippingAddress:
+ *           _id: 60d5ecb74b24c72b8c8b4570
+ *           countryRegion: India
+ *           firstName: First name
+ *           lastName: Last name
+ *           address: Address
+ *           city: City
+ *           state: Andaman and Nicobar Islands
+ *           pinCode: PIN code
+ *           phone: +91 Phone
+ *         paymentMethod: mock_card
  *         paymentStatus: pending
  *         createdAt: 2023-10-01T10:00:00.000Z
  *         updatedAt: 2023-10-01T10:00:00.000Z
  *
+ *     OrderStatusChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           nullable: true
+ *           description: Previous status (null for the entry created with the order)
+ *         to:
+ *           type: string
+ *           description: New status
+ *         actor:
+ *           type: string
+ *           description: ID of the user who made the change
+ *         note:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         from: processing
+ *         to: shipped
+ *         actor: 60d5ecb74b24c72b8c8b4568
+ *         note: Shipped with tracking number 1Z999AA10123456784
+ *         at: 2023-10-02T09:30:00.000Z
+ *
  *     Error:
  *       type: object
  *       properties:
@@ -210,9 +460,18 @@ const router = express.Router();
  * /api/orders/add:
  *   post:
  *     summary: Create a new order
+ *     description: The order number is generated by the server. Send an Idempotency-Key header to make retries safe; a repeated request with the same key returns the original order.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: Unique key per order attempt, e.g. a UUID generated by the client
  *     requestBody:
  *       required: true
  *       content:
@@ -243,14 +502,32 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email address not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Product or address not found
+ *         description: Product, address or coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Insufficient stock for one of the products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Idempotency-Key was already used with a different request
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/add', protect, addOrder);
+router.post('/add', protect, requireVerified, addOrder);
 
 /**
  * @swagger
@@ -339,11 +616,66 @@ router.get('/', protect, getUserOrders);
  */
 router.get('/:id', protect, getOrder);
 
+/**
+ * @swagger
+ * /api/orders/{id}/invoice.pdf:
+ *   get:
+ *     summary: Download the invoice for an order
+ *     description: Available once the order has been paid; the invoice number is allocated at that point. Only the order's owner or staff with orders:read can download it.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not authorized to access this order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order has not been paid yet, or its invoice number is still being assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/invoice.pdf', protect, getInvoice);
+
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   post:
  *     summary: Update order status (Admin only)
+ *     description: |
+ *       Allowed transitions are pending -> processing | cancelled, processing -> shipped | cancelled and shipped -> delivered.
+ *       Delivered and cancelled orders are final. Every change is recorded in statusHistory.
+ *       The customer is emailed when the order ships (with any tracking details), is delivered or is cancelled.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -367,6 +699,19 @@ router.get('/:id', protect, getOrder);
  *                 type: string
  *                 enum: [pending, processing, shipped, delivered, cancelled]
  *                 description: New status for the order
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Optional note stored with the history entry
+ *               carrier:
+ *                 type: string
+ *                 description: Shipping carrier (only with status shipped)
+ *               trackingNumber:
+ *                 type: string
+ *                 description: Carrier tracking number (only with status shipped)
+ *               trackingUrl:
+ *                 type: string
+ *                 description: Link to the carrier's tracking page (only with status shipped)
  *     responses:
  *       200:
  *         description: Order status updated successfully
@@ -403,14 +748,81 @@ router.get('/:id', protect, getOrder);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from the order's current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/status', protect, requirePermission('orders:update-status'), updateOrderStatus);
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel your own order
+ *     description: Only pending or processing orders can be cancelled. Reserved stock is put back and a captured payment is refunded. Delivered orders can be returned through /api/returns.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Optional reason, stored in the status history
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order has already shipped or is no longer cancellable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/status', protect, authorize('admin'), updateOrderStatus);
+router.post('/:id/cancel', protect, cancelOrder);
 
 /**
  * @swagger
  * /api/orders/{id}/delete:
  *   post:
- *     summary: Delete order by ID
+ *     summary: Permanently delete an order (Admin only)
+ *     description: Stock reserved by the order is put back. Customers cancel orders with /api/orders/{id}/cancel instead.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -446,7 +858,7 @@ router.post('/:id/status', protect, authorize('admin'), updateOrderStatus);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Not authorized to delete this order
+ *         description: Missing orders:delete permission
  *         content:
  *           application/json:
  *             schema:
@@ -458,6 +870,6 @@ router.post('/:id/status', protect, authorize('admin'), updateOrderStatus);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/delete', protect, deleteOrder);
+router.post('/:id/delete', protect, requirePermission('orders:delete'), deleteOrder);
 
 module.exports = router;
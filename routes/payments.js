@@ -0,0 +1,408 @@
+const express = require('express');
+const {
+  getPaymentMethods,
+  createPaymentIntent,
+  getOrderPayments,
+  capturePayment,
+  refundPayment,
+  handleWebhook
+} = require('../controllers/paymentController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the payment
+ *         order:
+ *           type: string
+ *           description: The order being paid
+ *         provider:
+ *           type: string
+ *           description: Payment provider name
+ *         providerRef:
+ *           type: string
+ *           description: The provider's payment intent id
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, failed, partially_refunded, refunded]
+ *         refundedAmount:
+ *           type: number
+ *         refunds:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               providerRef:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         failedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 60d5ecb74b24c72b8c8b45a0
+ *         order: 60d5ecb74b24c72b8c8b4567
+ *         provider: mock_card
+ *         providerRef: mock_pi_4f1c2b7a9d0e3f5a6b7c8d9e
+ *         amount: 59.98
+ *         currency: INR
+ *         status: paid
+ *         refundedAmount: 0
+ *         refunds: []
+ *         paidAt: 2023-10-01T10:05:00.000Z
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment providers, intents, captures, refunds and webhooks
+ */
+
+/**
+ * @swagger
+ * /api/payments/methods:
+ *   get:
+ *     summary: List payment methods accepted as an order's paymentMethod
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Enabled payment providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *             example:
+ *               success: true
+ *               count: 2
+ *               data:
+ *                 - name: cod
+ *                   label: Cash on delivery
+ *                 - name: mock_card
+ *                   label: Card (test mode)
+ */
+router.get('/methods', getPaymentMethods);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Receive a payment provider webhook
+ *     description: |
+ *       The signature is checked by the provider implementation. Supported events are payment.succeeded,
+ *       payment.failed and refund.succeeded; each event id is applied once, so redelivered events are
+ *       acknowledged without changing anything.
+ *
+ *       mock_card webhooks are signed with the header X-Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256
+ *       of "<t>.<raw body>" keyed with MOCK_CARD_WEBHOOK_SECRET>. mock_card is for development only: it must be
+ *       listed in PAYMENT_PROVIDERS, needs MOCK_CARD_WEBHOOK_SECRET and is never enabled in production.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider name, e.g. mock_card
+ *       - in: header
+ *         name: X-Mock-Signature
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Signature header used by the mock_card provider
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             id: evt_1
+ *             type: payment.succeeded
+ *             data:
+ *               intentId: mock_pi_4f1c2b7a9d0e3f5a6b7c8d9e
+ *     responses:
+ *       200:
+ *         description: Event verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     received:
+ *                       type: boolean
+ *                     applied:
+ *                       type: boolean
+ *                       description: False if the event was already applied or does not change anything
+ *       400:
+ *         description: Missing or invalid signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Unknown provider or payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/webhook/:provider', handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/{orderId}/intent:
+ *   post:
+ *     summary: Start payment for your order
+ *     description: Creates a payment intent with the order's payment provider, or returns the one already in progress.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payment intent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                     intentId:
+ *                       type: string
+ *                     clientSecret:
+ *                       type: string
+ *                       description: Passed to the provider's client library, if it uses one
+ *                     amount:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order is cancelled or already paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:orderId/intent', protect, createPaymentIntent);
+
+/**
+ * @swagger
+ * /api/payments/{orderId}:
+ *   get:
+ *     summary: Get the payments for an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payments, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Not authorized to access this order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:orderId', protect, getOrderPayments);
+
+/**
+ * @swagger
+ * /api/payments/{orderId}/capture:
+ *   post:
+ *     summary: Capture an order's payment
+ *     description: For cash on delivery this records that the cash was collected.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payment captured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Missing payments:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order is cancelled or the payment is not pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:orderId/capture', protect, requirePermission('payments:manage'), capturePayment);
+
+/**
+ * @swagger
+ * /api/payments/{orderId}/refund:
+ *   post:
+ *     summary: Refund an order's payment
+ *     description: Refunds through the payment provider. Omit amount to refund everything not yet refunded.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing payments:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order has no captured payment, or another refund of it is in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:orderId/refund', protect, requirePermission('payments:manage'), refundPayment);
+
+module.exports = router;
@@ -8,12 +8,18 @@ const {
   updateProduct,
   deleteProduct,
   searchProducts,
+  suggestProducts,
+  reindexSearch,
+  migrateCatalog,
   createOfferStrip,
   updateOfferStrip,
   deleteOfferStrip,
   getAllOfferStrips,
-  getOfferStrip
+  getOfferStrip,
+  updateStock,
+  getLowStockReport
 } = require('../controllers/productController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -41,12 +47,53 @@ const upload = multer({
  * @swagger
  * components:
  *   schemas:
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *       - sku
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Variant id, referenced by cart and order lines
+ *         sku:
+ *           type: string
+ *           description: Stock keeping unit, unique across the catalog (stored uppercase)
+ *         size:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Other option values
+ *           example:
+ *             color: Black
+ *         price:
+ *           type: number
+ *           nullable: true
+ *           description: Overrides the product price when set
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: Units in stock, null when stock is not tracked
+ *         lowStockThreshold:
+ *           type: integer
+ *           nullable: true
+ *           description: Low stock level (defaults to LOW_STOCK_THRESHOLD)
+ *         images:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               url:
+ *                 type: string
  *     Product:
  *       type: object
  *       required:
  *       - name
  *       - price
- *       - size
+ *       - variants
  *       - imageUrl
  *       - category
  *       properties:
@@ -62,15 +109,28 @@ const upload = multer({
  *         price:
  *           type: number
  *           description: The product price
+ *         priceFrom:
+ *           type: number
+ *           readOnly: true
+ *           description: Lowest price a variant sells at, used by price filters and sorts
  *         size:
  *           type: string
- *           description: The product size
+ *           readOnly: true
+ *           description: Sizes of the variants, comma separated
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *         imageUrl:
  *           type: string
  *           description: The URL of the product image
  *         category:
  *           type: string
- *           description: The product category
+ *           description: Id of the product's category
+ *         categoryTitle:
+ *           type: string
+ *           readOnly: true
+ *           description: Title of the product's category, updated when the category is renamed
  *         createdAt:
  *           type: string
  *           format: date
@@ -81,6 +141,16 @@ const upload = multer({
  *         description: This is a sample product
  *         price: 29.99
  *         size: M
+ *         variants:
+ *           - _id: 60d5ecb74b24c72b8c8b4590
+ *             sku: TEE-BLK-M
+ *             size: M
+ *             options:
+ *               color: Black
+ *             price: null
+ *             stock: 12
+ *             lowStockThreshold: null
+ *             images: []
  *         imageUrl: /uploads/product-123456789.jpg
  *         createdAt: 2023-10-01T10:00:00.000Z
  */
@@ -92,14 +162,124 @@ const upload = multer({
  *     description: Product management for carousel
  *   - name: OfferStrip
  *     description: Offer strip management for products
+ *   - name: Inventory
+ *     description: Product stock levels
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     PageParam:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *       description: Page number (cannot be combined with cursor)
+ *     LimitParam:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *       description: Items per page (20 when paging with page or cursor alone). Without page, limit or cursor the whole list is returned.
+ *     CursorParam:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: pagination.nextCursor from the previous page, to continue from there (cannot be combined with page)
+ *     CatalogSortParam:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [newest, oldest, price, -price, name, -name]
+ *         default: newest
+ *       description: Sort order (price and name ascending, -price and -name descending). Products sort by their lowest variant price.
+ *     MinPriceParam:
+ *       in: query
+ *       name: minPrice
+ *       schema:
+ *         type: number
+ *       description: Only items priced at or above this (products by their lowest variant price)
+ *     MaxPriceParam:
+ *       in: query
+ *       name: maxPrice
+ *       schema:
+ *         type: number
+ *       description: Only items priced at or below this (products by their lowest variant price)
+ *   schemas:
+ *     FacetCount:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *         count:
+ *           type: integer
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Items matching the filters
+ *         page:
+ *           type: integer
+ *           nullable: true
+ *           description: Current page (null when paging with a cursor)
+ *         pages:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *           nullable: true
+ *           description: Page size (null when the whole list was returned)
+ *         hasMore:
+ *           type: boolean
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to get the next page
  */
 
 /**
  * @swagger
  * /api/products:
  *   get:
- *     summary: Get all products for carousel
+ *     summary: Get products, filtered, sorted and paginated
  *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category title, or several separated by commas
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *         description: Category id, or several separated by commas
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Size, or several separated by commas
+ *       - $ref: '#/components/parameters/MinPriceParam'
+ *       - $ref: '#/components/parameters/MaxPriceParam'
+ *       - in: query
+ *         name: isExplore
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isTrending
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/CatalogSortParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *     responses:
  *       200:
  *         description: Products retrieved successfully
@@ -116,8 +296,10 @@ const upload = multer({
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Product'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Bad request
+ *         description: Invalid filter, sort, page, limit or cursor
  *         content:
  *           application/json:
  *             schema:
@@ -129,22 +311,56 @@ router.get('/', getProducts);
  * @swagger
  * /api/products/search:
  *   get:
- *     summary: Search products by name, description, or category
+ *     summary: Search products and accessories
+ *     description: |
+ *       Full-text search over product name (highest weight), category and description, plus accessory names.
+ *       Misspelled words still match through trigram similarity on names and categories (e.g. "jogers"
+ *       finds "Joggers"); exact word matches always rank above fuzzy ones. Without q the filtered catalog
+ *       is returned newest first. facets count all matches (category and size for products only).
  *     tags: [Products]
  *     parameters:
  *       - in: query
  *         name: q
  *         schema:
  *           type: string
- *         description: Search term to match product name or description
+ *           maxLength: 100
+ *         description: Search term
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [product, accessory]
+ *         description: Only search one item type (both by default)
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by product category
+ *         description: Category title, or several separated by commas (limits results to products)
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Size, or several separated by commas (limits results to products)
+ *       - $ref: '#/components/parameters/MinPriceParam'
+ *       - $ref: '#/components/parameters/MaxPriceParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price, -price, newest]
+ *           default: relevance
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
  *     responses:
  *       200:
- *         description: Products matching search criteria
+ *         description: Matching products and accessories
  *         content:
  *           application/json:
  *             schema:
@@ -157,9 +373,48 @@ router.get('/', getProducts);
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Product'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           itemType:
+ *                             type: string
+ *                             enum: [Product, Accessory]
+ *                           relevance:
+ *                             type: number
+ *                             description: Higher is a better match
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FacetCount'
+ *                     category:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FacetCount'
+ *                     size:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FacetCount'
+ *                     price:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Exclusive upper bound (null for the last bucket)
+ *                           count:
+ *                             type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Bad request
+ *         description: Invalid search term, filter, sort, page or limit
  *         content:
  *           application/json:
  *             schema:
@@ -167,10 +422,259 @@ router.get('/', getProducts);
  */
 router.get('/search', searchProducts);
 
+/**
+ * @swagger
+ * /api/products/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for the search box
+ *     description: |
+ *       Matches the start of any word in product names and category titles, plus popular past searches
+ *       (queries that found results several times). Up to 5 entries per group. Responses may be cached
+ *       for a minute, and an empty result is returned rather than waiting on a slow lookup.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: What the user has typed so far
+ *     responses:
+ *       200:
+ *         description: Suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           image:
+ *                             type: string
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           image:
+ *                             type: string
+ *                     queries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           query:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *             example:
+ *               success: true
+ *               data:
+ *                 products:
+ *                   - id: "60d5ecb74b24c72b8c8b4568"
+ *                     name: "Slim Fit Joggers"
+ *                     image: "https://res.cloudinary.com/your-cloud-name/image/upload/v123456789/products/joggers-456.jpg"
+ *                 categories:
+ *                   - id: "60d5ecb74b24c72b8c8b4570"
+ *                     title: "Joggers"
+ *                     image: "https://res.cloudinary.com/your-cloud-name/image/upload/v123456789/categories/joggers.jpg"
+ *                 queries:
+ *                   - query: "joggers black"
+ *                     count: 42
+ *       400:
+ *         description: Invalid search term
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/suggest', suggestProducts);
+
+/**
+ * @swagger
+ * /api/products/search/reindex:
+ *   post:
+ *     summary: Rebuild typo tolerant search data
+ *     description: |
+ *       Recomputes the trigrams used for fuzzy matching for every product and accessory, and the product
+ *       and category autocomplete suggestions. Run once after upgrading, and after changing products or
+ *       categories directly in the database.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of products and accessories reindexed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: integer
+ *                     accessories:
+ *                       type: integer
+ *                     suggestions:
+ *                       type: integer
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing catalog:write permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/search/reindex', protect, requirePermission('catalog:write'), reindexSearch);
+
+/**
+ * @swagger
+ * /api/products/migrate:
+ *   post:
+ *     summary: Bring products saved by older versions up to date
+ *     description: |
+ *       Moves products created before variants into a single variant (pointing their order and cart lines
+ *       at it), links products that still name their category by text to a Category (creating missing
+ *       categories), and fills in priceFrom. The server runs the same migration at startup; use this to
+ *       retry after a failure logged there. Products already up to date are skipped, so running it again
+ *       is safe.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of products migrated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     variants:
+ *                       type: integer
+ *                       description: Products moved to variants
+ *                     categories:
+ *                       type: integer
+ *                       description: Products linked to their category
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing catalog:write permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Migration failed part way; fix the cause and run it again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/migrate', protect, requirePermission('catalog:write'), migrateCatalog);
+
 
 
 
 
+/**
+ * @swagger
+ * /api/products/inventory/low-stock:
+ *   get:
+ *     summary: Get product variants at or below their low stock threshold
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low stock report, lowest stock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       category:
+ *                         type: string
+ *                       image:
+ *                         type: string
+ *                       variant:
+ *                         type: string
+ *                         description: Variant id
+ *                       sku:
+ *                         type: string
+ *                       size:
+ *                         type: string
+ *                       options:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: string
+ *                       stock:
+ *                         type: integer
+ *                       lowStockThreshold:
+ *                         type: integer
+ *                       outOfStock:
+ *                         type: boolean
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/inventory/low-stock', protect, requirePermission('catalog:write'), getLowStockReport);
+
 /**
  * @swagger
  * /api/products/{id}:
@@ -210,7 +714,13 @@ router.get('/:id', getProduct);
  * /api/products:
  *   post:
  *     summary: Create new product with image upload
+ *     description: |
+ *       Send either `variants`, or `size` (with optional `stock` and `lowStockThreshold`) for a product
+ *       sold in a single variant with a generated SKU. Variant images are uploaded as files in fields
+ *       named `variantImages[<SKU>]`.
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -220,7 +730,6 @@ router.get('/:id', getProduct);
  *             required:
  *               - name
  *               - price
- *               - size
  *               - image
  *               - category
  *             properties:
@@ -232,13 +741,23 @@ router.get('/:id', getProduct);
  *                 description: Product description
  *               price:
  *                 type: number
- *                 description: Product price
+ *                 description: Product price (variants without a price override sell at this price)
+ *               variants:
+ *                 type: string
+ *                 description: JSON array of variants (sku, size, options, price, stock, lowStockThreshold, images as URLs)
+ *                 example: '[{"sku":"TEE-BLK-S","size":"S","options":{"color":"Black"},"stock":10},{"sku":"TEE-BLK-M","size":"M","options":{"color":"Black"},"stock":8}]'
  *               size:
  *                 type: string
- *                 description: Product size
+ *                 description: Size of a single-variant product (instead of variants)
  *               category:
  *                 type: string
- *                 description: Product category
+ *                 description: Category id or title (must be an existing category)
+ *               stock:
+ *                 type: integer
+ *                 description: Units in stock of a single-variant product (leave empty to not track stock)
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 description: Low stock level of a single-variant product for the inventory report
  *               image:
  *                 type: string
  *                 format: binary
@@ -261,8 +780,20 @@ router.get('/:id', getProduct);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('image'), createProduct);
+router.post('/', protect, requirePermission('catalog:write'), upload.any(), createProduct);
 
 
 
@@ -271,7 +802,15 @@ router.post('/', upload.single('image'), createProduct);
  * /api/products/update/{id}:
  *   post:
  *     summary: Update product
+ *     description: |
+ *       `variants` lists every variant the product keeps. Variants matching an existing one by `_id` or SKU
+ *       change only the fields given (stock is never written unless sent); new ones are added and those left
+ *       out removed, unless open orders or carts still include them (409). Without `variants`, `size`, `stock` and
+ *       `lowStockThreshold` update a single-variant product. Variant images are uploaded as files in fields
+ *       named `variantImages[<SKU>]` and need `variants` in the same request.
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -295,12 +834,21 @@ router.post('/', upload.single('image'), createProduct);
  *               price:
  *                 type: number
  *                 description: Product price
+ *               variants:
+ *                 type: string
+ *                 description: JSON array of every variant the product keeps
  *               size:
  *                 type: string
- *                 description: Product size
+ *                 description: Size of a single-variant product
  *               category:
  *                 type: string
- *                 description: Product category
+ *                 description: Category id or title (must be an existing category)
+ *               stock:
+ *                 type: integer
+ *                 description: Units in stock of a single-variant product (leave empty to not track stock)
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 description: Low stock level of a single-variant product for the inventory report
  *               image:
  *                 type: string
  *                 format: binary
@@ -317,14 +865,38 @@ router.post('/', upload.single('image'), createProduct);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid variants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A removed variant is still in open orders or carts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/update/:id', upload.array('images'), updateProduct);
+router.post('/update/:id', protect, requirePermission('catalog:write'), upload.any(), updateProduct);
 
 /**
  * @swagger
@@ -332,6 +904,8 @@ router.post('/update/:id', upload.array('images'), updateProduct);
  *   post:
  *     summary: Delete product
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -351,6 +925,18 @@ router.post('/update/:id', upload.array('images'), updateProduct);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product not found
  *         content:
@@ -358,7 +944,7 @@ router.post('/update/:id', upload.array('images'), updateProduct);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/delete/:id', deleteProduct);
+router.post('/delete/:id', protect, requirePermission('catalog:write'), deleteProduct);
 
 /**
  * @swagger
@@ -366,6 +952,8 @@ router.post('/delete/:id', deleteProduct);
  *   post:
  *     summary: Create or update offerStrip text for a product
  *     tags: [OfferStrip]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -405,6 +993,18 @@ router.post('/delete/:id', deleteProduct);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product not found
  *         content:
@@ -412,7 +1012,7 @@ router.post('/delete/:id', deleteProduct);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/offerstrip', createOfferStrip);
+router.post('/:id/offerstrip', protect, requirePermission('catalog:write'), createOfferStrip);
 
 /**
  * @swagger
@@ -497,6 +1097,8 @@ router.get('/:id/offerstrip', getOfferStrip);
  *   put:
  *     summary: Update offerStrip text for a product
  *     tags: [OfferStrip]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -534,6 +1136,18 @@ router.get('/:id/offerstrip', getOfferStrip);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product not found
  *         content:
@@ -541,7 +1155,7 @@ router.get('/:id/offerstrip', getOfferStrip);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id/offerstrip', updateOfferStrip);
+router.put('/:id/offerstrip', protect, requirePermission('catalog:write'), updateOfferStrip);
 
 /**
  * @swagger
@@ -549,6 +1163,8 @@ router.put('/:id/offerstrip', updateOfferStrip);
  *   delete:
  *     summary: Delete offerStrip text for a product
  *     tags: [OfferStrip]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -570,6 +1186,18 @@ router.put('/:id/offerstrip', updateOfferStrip);
  *                   $ref: '#/components/schemas/Product'
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product not found
  *         content:
@@ -577,6 +1205,109 @@ router.put('/:id/offerstrip', updateOfferStrip);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id/offerstrip', deleteOfferStrip);
+router.delete('/:id/offerstrip', protect, requirePermission('catalog:write'), deleteOfferStrip);
+
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   post:
+ *     summary: Set or adjust stock of a product variant
+ *     description: |
+ *       Send stock to set an absolute value, or adjustment to add/remove units atomically. Set stock to null to stop tracking.
+ *       variant (id or SKU) is required for products with more than one variant.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variant:
+ *                 type: string
+ *                 description: Variant id or SKU
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *               adjustment:
+ *                 type: integer
+ *                 description: Units to add (positive) or remove (negative)
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *           example:
+ *             variant: TEE-BLK-M
+ *             adjustment: 25
+ *     responses:
+ *       200:
+ *         description: Stock updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     variant:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         sku:
+ *                           type: string
+ *                         size:
+ *                           type: string
+ *                         stock:
+ *                           type: integer
+ *                         lowStockThreshold:
+ *                           type: integer
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product or variant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Stock is not tracked or would become negative
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/stock', protect, requirePermission('catalog:write'), updateStock);
 
 module.exports = router;
@@ -0,0 +1,499 @@
+const express = require('express');
+const multer = require('multer');
+const {
+  createReturn,
+  getMyReturns,
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+} = require('../controllers/returnController');
+const { protect, requirePermission } = require('../middleware/auth');
+const ordersConfig = require('../config/orders');
+
+const router = express.Router();
+
+// Return photos are kept in memory and streamed to Cloudinary
+const storage = multer.memoryStorage();
+
+// File filter for images only
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
+    files: ordersConfig.maxReturnPhotos
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the return
+ *         returnId:
+ *           type: string
+ *           description: Return number (PREFIX-YYYYMMDD-NNNNN), used in /api/returns/{id} routes
+ *         order:
+ *           type: string
+ *           description: The order being returned
+ *         user:
+ *           type: string
+ *           description: The customer who requested the return
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderLine:
+ *                 type: string
+ *                 description: ID of the line in order.products
+ *               itemType:
+ *                 type: string
+ *                 enum: [Product, Accessory]
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               price:
+ *                 type: number
+ *                 description: Unit price paid
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *               comment:
+ *                 type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, received]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               actor:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         refundAmount:
+ *           type: number
+ *           description: Amount refunded when the goods were received
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 60d5ecb74b24c72b8c8b4590
+ *         returnId: RMA-20231005-00003
+ *         order: 60d5ecb74b24c72b8c8b4567
+ *         user: 60d5ecb74b24c72b8c8b4568
+ *         items:
+ *           - orderLine: 60d5ecb74b24c72b8c8b4571
+ *             itemType: Product
+ *             product: 60d5ecb74b24c72b8c8b4569
+ *             quantity: 1
+ *             price: 29.99
+ *             reason: damaged
+ *             comment: Box was crushed
+ *         photos:
+ *           - id: returns/abc123
+ *             url: https://res.cloudinary.com/demo/image/upload/returns/abc123.jpg
+ *         status: requested
+ *         refundAmount: 0
+ *
+ *     ReturnStepInput:
+ *       type: object
+ *       properties:
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *           description: Stored in the return's status history
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: Return requests (RMA) for delivered orders
+ */
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Request a return for items of a delivered order
+ *     description: Allowed within the return window after delivery. Each order line can be returned up to the quantity ordered across all non-rejected returns.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 description: Order number
+ *               items:
+ *                 type: string
+ *                 description: 'JSON array of { orderLine, quantity, reason, comment }'
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 images
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderLine
+ *                     - quantity
+ *                     - reason
+ *                   properties:
+ *                     orderLine:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *                       enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *                     comment:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Invalid items, reason or quantity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order not delivered, return window closed or quantity already returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: Get your return requests
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of returns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnRequest'
+ */
+router.post('/', protect, upload.array('photos', ordersConfig.maxReturnPhotos), createReturn);
+router.get('/', protect, getMyReturns);
+
+/**
+ * @swagger
+ * /api/returns/all:
+ *   get:
+ *     summary: Get all return requests
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received]
+ *         description: Only returns with this status
+ *     responses:
+ *       200:
+ *         description: List of returns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnRequest'
+ *       403:
+ *         description: Missing returns:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/all', protect, requirePermission('returns:manage'), getAllReturns);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return by return number
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Return number
+ *     responses:
+ *       200:
+ *         description: The return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       403:
+ *         description: Not authorized to access this return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Return not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', protect, getReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   post:
+ *     summary: Approve a requested return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Return number
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReturnStepInput'
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       404:
+ *         description: Return not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Return is not awaiting review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/approve', protect, requirePermission('returns:manage'), approveReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   post:
+ *     summary: Reject a requested return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Return number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the return was rejected
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Note missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Return not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Return is not awaiting review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/reject', protect, requirePermission('returns:manage'), rejectReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   post:
+ *     summary: Mark returned goods as received
+ *     description: Puts tracked stock back and refunds the items through the order's payment provider, if the payment was captured. The order's paymentStatus becomes refunded once everything has been refunded, otherwise partially_refunded.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Return number
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReturnStepInput'
+ *     responses:
+ *       200:
+ *         description: Return received and refunded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       404:
+ *         description: Return not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Return has not been approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/receive', protect, requirePermission('returns:manage'), receiveReturn);
+
+module.exports = router;
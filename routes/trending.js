@@ -8,6 +8,7 @@ const {
   updateTrendingProduct,
   deleteTrendingProduct
 } = require('../controllers/trendingController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -83,7 +84,9 @@ const uploadFields = upload.fields([
  *                         description: Product sub image URL
  *                       category:
  *                         type: string
- *                         description: Product category
+ *                         description: Category title
+ *                       categoryId:
+ *                         type: string
  *             example:
  *               success: true
  *               message: "Trending products retrieved successfully"
@@ -115,6 +118,8 @@ router.get('/', getTrendingProducts);
  *   post:
  *     summary: Create new trending product with image upload
  *     tags: [Trending]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -141,7 +146,7 @@ router.get('/', getTrendingProducts);
  *                 description: Product size
  *               category:
  *                 type: string
- *                 description: Product category
+ *                 description: Category id or title (must be an existing category)
  *               image:
  *                 type: string
  *                 format: binary
@@ -168,8 +173,20 @@ router.get('/', getTrendingProducts);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', uploadFields, createTrendingProduct);
+router.post('/', protect, requirePermission('catalog:write'), uploadFields, createTrendingProduct);
 
 /**
  * @swagger
@@ -211,6 +228,8 @@ router.get('/:id', getTrendingProduct);
  *   post:
  *     summary: Update trending product
  *     tags: [Trending]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -239,7 +258,7 @@ router.get('/:id', getTrendingProduct);
  *                 description: Product size
  *               category:
  *                 type: string
- *                 description: Product category
+ *                 description: Category id or title (must be an existing category)
  *               image:
  *                 type: string
  *                 format: binary
@@ -260,6 +279,18 @@ router.get('/:id', getTrendingProduct);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Trending product not found
  *         content:
@@ -267,7 +298,7 @@ router.get('/:id', getTrendingProduct);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/update/:id', uploadFields, updateTrendingProduct);
+router.post('/update/:id', protect, requirePermission('catalog:write'), uploadFields, updateTrendingProduct);
 
 /**
  * @swagger
@@ -275,6 +306,8 @@ router.post('/update/:id', uploadFields, updateTrendingProduct);
  *   post:
  *     summary: Delete trending product
  *     tags: [Trending]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -294,6 +327,18 @@ router.post('/update/:id', uploadFields, updateTrendingProduct);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Trending product not found
  *         content:
@@ -301,6 +346,6 @@ router.post('/update/:id', uploadFields, updateTrendingProduct);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/delete/:id', deleteTrendingProduct);
+router.post('/delete/:id', protect, requirePermission('catalog:write'), deleteTrendingProduct);
 
 module.exports = router;
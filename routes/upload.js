@@ -1,6 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const { uploadMultipleImages, deleteMultipleImages, deleteImagesByIndex } = require('../controllers/uploadController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -38,6 +39,8 @@ const upload = multer({
  *   post:
  *     summary: Upload multiple images for a product or accessory
  *     tags: [Upload]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: productId
@@ -87,6 +90,18 @@ const upload = multer({
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product or Accessory not found
  *         content:
@@ -94,7 +109,7 @@ const upload = multer({
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:productId', upload.array('images', 10), uploadMultipleImages);
+router.post('/:productId', protect, requirePermission('catalog:write'), upload.array('images', 10), uploadMultipleImages);
 
 /**
  * @swagger
@@ -102,6 +117,8 @@ router.post('/:productId', upload.array('images', 10), uploadMultipleImages);
  *   post:
  *     summary: Delete specific images from a product or accessory
  *     tags: [Upload]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: productId
@@ -152,6 +169,18 @@ router.post('/:productId', upload.array('images', 10), uploadMultipleImages);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product or Accessory not found
  *         content:
@@ -159,7 +188,7 @@ router.post('/:productId', upload.array('images', 10), uploadMultipleImages);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:productId/delete', deleteMultipleImages);
+router.post('/:productId/delete', protect, requirePermission('catalog:write'), deleteMultipleImages);
 
 /**
  * @swagger
@@ -167,6 +196,8 @@ router.post('/:productId/delete', deleteMultipleImages);
  *   post:
  *     summary: Delete images by index from a product or accessory
  *     tags: [Upload]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: productId
@@ -218,6 +249,18 @@ router.post('/:productId/delete', deleteMultipleImages);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Product or Accessory not found
  *         content:
@@ -225,6 +268,6 @@ router.post('/:productId/delete', deleteMultipleImages);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:productId/delete-by-index', deleteImagesByIndex);
+router.post('/:productId/delete-by-index', protect, requirePermission('catalog:write'), deleteImagesByIndex);
 
 module.exports = router;
@@ -8,6 +8,7 @@ const {
   getAllVideos,
   getVideo
 } = require('../controllers/videoController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -59,6 +60,8 @@ const upload = multer({
  *   post:
  *     summary: Upload a video
  *     tags: [VideoUpload]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -94,15 +97,37 @@ const upload = multer({
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('video'), uploadVideo);
+router.post('/', protect, requirePermission('catalog:write'), upload.single('video'), uploadVideo);
 
 /**
  * @swagger
  * /api/videoupload:
  *   get:
- *     summary: Get all videos
+ *     summary: Get videos, sorted and paginated
  *     tags: [VideoUpload]
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, title, -title]
+ *           default: newest
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *     responses:
  *       200:
  *         description: Videos retrieved successfully
@@ -120,8 +145,10 @@ router.post('/', upload.single('video'), uploadVideo);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Video'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Bad request
+ *         description: Invalid sort, page, limit or cursor
  *         content:
  *           application/json:
  *             schema:
@@ -169,6 +196,8 @@ router.get('/:id', getVideo);
  *   post:
  *     summary: Update a video
  *     tags: [VideoUpload]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -202,6 +231,18 @@ router.get('/:id', getVideo);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Video'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Video not found
  *         content:
@@ -209,7 +250,7 @@ router.get('/:id', getVideo);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/update', upload.single('video'), updateVideo);
+router.post('/:id/update', protect, requirePermission('catalog:write'), upload.single('video'), updateVideo);
 
 /**
  * @swagger
@@ -217,6 +258,8 @@ router.post('/:id/update', upload.single('video'), updateVideo);
  *   post:
  *     summary: Delete a video
  *     tags: [VideoUpload]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -236,6 +279,18 @@ router.post('/:id/update', upload.single('video'), updateVideo);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Video not found
  *         content:
@@ -243,7 +298,7 @@ router.post('/:id/update', upload.single('video'), updateVideo);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/delete', deleteVideo);
+router.post('/:id/delete', protect, requirePermission('catalog:write'), deleteVideo);
 
 
 
@@ -6,17 +6,52 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const Role = require('./models/Role');
 
 // Load env vars
 dotenv.config();
 
-// Connect to database
-connectDB();
+const { startEmailWorker } = require('./utils/emailOutbox');
+const { migrateProductVariants } = require('./utils/variants');
+const { migrateProductCategories } = require('./utils/categories');
+const logger = require('./utils/logger');
+
+// Connect to database, make sure the built-in roles exist and start
+// delivering queued email. Without the roles nobody can be authorized, so
+// the process stops rather than serve requests.
+connectDB().then(async () => {
+  startEmailWorker();
+  await Role.ensureDefaults();
+
+  // Products saved before variants and category links cannot be ordered
+  // until migrated. Both migrations skip products already done; a failure
+  // is logged and can be retried with POST /api/products/migrate.
+  try {
+    await migrateProductVariants();
+    await migrateProductCategories();
+  } catch (error) {
+    logger.error('Catalog migration failed; run POST /api/products/migrate once fixed', error);
+  }
+}).catch((error) => {
+  logger.error('Startup failed', error);
+  process.exit(1);
+});
 
 const app = express();
 
-// Body parser middleware
-app.use(express.json());
+// Trust the reverse proxy so req.ip is the client address (used by rate limiting)
+// TRUST_PROXY may be "true", a hop count or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
+// Body parser middleware. The raw JSON body is kept for payment webhook signatures.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Enable CORS
@@ -62,6 +97,7 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/roles', require('./routes/roles'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/videoupload', require('./routes/videoupload'));
 app.use('/api/carousel', require('./routes/carousel'));
@@ -70,6 +106,11 @@ app.use('/api/trending', require('./routes/trending'));
 app.use('/api/categories', require('./routes/category'));
 app.use('/api/addresses', require('./routes/address'));
 app.use('/api/orders', require('./routes/order'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/returns', require('./routes/returns'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/admin', require('./routes/admin'));
 app.use('/api/contacts', require('./routes/contact'));
 app.use('/api/accessories', require('./routes/accessories'));
 app.use('/api/upload-images', require('./routes/upload'));
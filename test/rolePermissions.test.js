@@ -0,0 +1,98 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Role = require('../models/Role');
+const { createRole, updateRole } = require('../controllers/roleController');
+
+// Roles as stored, by name
+const ROLE_PERMISSIONS = {
+  'role-manager': ['roles:manage', 'orders:*'],
+  admin: ['*']
+};
+
+const stubRoles = () => {
+  mock.method(Role, 'getPermissions', async (name) => ROLE_PERMISSIONS[name] || []);
+};
+
+// Run a controller and resolve with the error passed to next, or null
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status() {
+      return this;
+    },
+    json() {
+      resolve(null);
+    }
+  };
+  handler(req, res, error => resolve(error || null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('ungrantablePermissions lists what the user does not hold', async () => {
+  stubRoles();
+  const user = { role: 'role-manager' };
+
+  assert.deepStrictEqual(
+    await Role.ungrantablePermissions(user, ['orders:read', 'orders:*', 'catalog:write', '*', 'roles:*']),
+    ['catalog:write', '*', 'roles:*']
+  );
+  assert.deepStrictEqual(await Role.ungrantablePermissions({ role: 'admin' }, ['*', 'catalog:write']), []);
+});
+
+test('createRole refuses permissions the requester does not hold', async () => {
+  stubRoles();
+  const create = mock.method(Role, 'create', async (fields) => fields);
+
+  const error = await run(createRole, {
+    user: { role: 'role-manager' },
+    body: { name: 'escalated', permissions: ['*'] }
+  });
+
+  assert.strictEqual(error.statusCode, 403);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('createRole accepts permissions the requester holds', async () => {
+  stubRoles();
+  const create = mock.method(Role, 'create', async (fields) => fields);
+
+  const error = await run(createRole, {
+    user: { role: 'role-manager' },
+    body: { name: 'order-desk', permissions: ['orders:read'] }
+  });
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(create.mock.callCount(), 1);
+});
+
+test('updateRole refuses to widen a role, including the requester\'s own', async () => {
+  stubRoles();
+  const role = { name: 'role-manager', permissions: ['roles:manage'], save: mock.fn(async () => {}) };
+  mock.method(Role, 'findById', async () => role);
+
+  const error = await run(updateRole, {
+    user: { role: 'role-manager' },
+    params: { id: 'role-id' },
+    body: { permissions: ['roles:manage', 'users:write'] }
+  });
+
+  assert.strictEqual(error.statusCode, 403);
+  assert.deepStrictEqual(role.permissions, ['roles:manage']);
+  assert.strictEqual(role.save.mock.callCount(), 0);
+});
+
+test('updateRole rejects permissions that are not names', async () => {
+  stubRoles();
+  mock.method(Role, 'findById', async () => ({ name: 'support', permissions: [], save: async () => {} }));
+
+  const error = await run(updateRole, {
+    user: { role: 'admin' },
+    params: { id: 'role-id' },
+    body: { permissions: [{ $ne: null }] }
+  });
+
+  assert.strictEqual(error.statusCode, 400);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const auth = require('../middleware/auth');
+
+// authorize() and requirePermission() return anonymous middleware; remember
+// every one they hand out so the route stacks below can be checked for them.
+// The routers destructure these factories when loaded, so wrap them first.
+const authorizers = new WeakSet();
+for (const name of ['authorize', 'requirePermission']) {
+  const factory = auth[name];
+  auth[name] = (...args) => {
+    const middleware = factory(...args);
+    authorizers.add(middleware);
+    return middleware;
+  };
+}
+
+const authenticators = new Set([auth.protect, auth.protectTwoFactorSetup]);
+
+// Write routes anyone may call
+const PUBLIC = new Set([
+  'auth POST /register',
+  'auth POST /login',
+  'auth POST /unsubscribe',
+  'auth POST /forgotpassword',
+  'auth POST /resetpassword/:resettoken',
+  'auth POST /refresh',
+  'auth POST /2fa/verify',
+  'contact POST /',
+  'payments POST /webhook/:provider'
+]);
+
+// Write routes any signed-in user may call; the controllers limit them to the
+// caller's own records
+const SELF_SERVICE = new Set([
+  'address POST /',
+  'address POST /:id/update',
+  'address POST /:id/delete',
+  'auth POST /me',
+  'auth POST /verify/resend',
+  'auth POST /2fa/setup',
+  'auth POST /2fa/enable',
+  'auth POST /2fa/disable',
+  'auth POST /2fa/recovery-codes',
+  'cart POST /items',
+  'cart POST /items/:itemId/update',
+  'cart POST /items/:itemId/delete',
+  'cart POST /clear',
+  'cart POST /checkout',
+  'coupons POST /validate',
+  'order POST /add',
+  'order POST /:id/cancel',
+  'payments POST /:orderId/intent',
+  'returns POST /'
+]);
+
+const WRITE_METHODS = ['post', 'put', 'patch', 'delete'];
+const routesDir = path.join(__dirname, '..', 'routes');
+
+const writeRoutes = fs.readdirSync(routesDir)
+  .filter(file => file.endsWith('.js'))
+  .flatMap(file => {
+    const router = require(path.join(routesDir, file));
+    const name = path.basename(file, '.js');
+
+    return router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => WRITE_METHODS
+        .filter(method => layer.route.methods[method])
+        .map(method => ({
+          key: `${name} ${method.toUpperCase()} ${layer.route.path}`,
+          handles: layer.route.stack
+            .filter(routeLayer => routeLayer.method === method)
+            .map(routeLayer => routeLayer.handle)
+        })));
+  });
+
+test('routers expose write routes', () => {
+  assert.ok(writeRoutes.length > 0);
+});
+
+for (const { key, handles } of writeRoutes) {
+  if (PUBLIC.has(key)) {
+    continue;
+  }
+
+  test(`${key} requires authorization`, () => {
+    const authenticated = handles.findIndex(handle => authenticators.has(handle));
+    assert.ok(authenticated !== -1, `${key} does not run protect`);
+
+    if (SELF_SERVICE.has(key)) {
+      return;
+    }
+
+    const authorized = handles.findIndex(handle => authorizers.has(handle));
+    assert.ok(authorized > authenticated, `${key} does not run authorize or requirePermission after protect`);
+  });
+}
+
+test('allowlisted routes exist', () => {
+  const keys = new Set(writeRoutes.map(route => route.key));
+
+  for (const key of [...PUBLIC, ...SELF_SERVICE]) {
+    assert.ok(keys.has(key), `${key} is allowlisted but no longer exists`);
+  }
+});
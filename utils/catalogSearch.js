@@ -0,0 +1,239 @@
+const Product = require('../models/Product');
+const Accessory = require('../models/Accessory');
+const {
+  buildFilter,
+  parsePositiveInt,
+  PRICE_FILTERS,
+  PRODUCT_PRICE_FILTERS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+} = require('./listQuery');
+const { trigrams } = require('./trigrams');
+const searchConfig = require('../config/search');
+
+// Catalog search over products and accessories.
+//
+// Matches come from two places and are merged per item:
+//   - the weighted text index (name, category title, description), which handles
+//     whole words and stemming ("jogger" finds "Joggers")
+//   - trigram overlap with name and category title, which tolerates typos
+//     ("jogers" finds "Joggers")
+// Text matches rank above fuzzy-only matches. Ranking, facets and pages
+// cover up to maxCandidates matches per item type.
+
+// Item types that can be searched, keyed like order and cart itemType
+const SEARCH_TYPES = {
+  Product: {
+    model: Product,
+    filters: {
+      category: { field: 'categoryTitle', type: 'string', multiple: true },
+      size: { field: 'variants.size', type: 'string', multiple: true },
+      ...PRODUCT_PRICE_FILTERS
+    }
+  },
+  Accessory: {
+    model: Accessory,
+    filters: PRICE_FILTERS
+  }
+};
+
+// Products go by their lowest variant price; accessories have a single price
+const priceOf = (doc) => (typeof doc.priceFrom === 'number' ? doc.priceFrom : doc.price);
+
+const byNewest = (a, b) => new Date(b.doc.createdAt) - new Date(a.doc.createdAt);
+
+const SEARCH_SORTS = {
+  relevance: (a, b) => b.relevance - a.relevance || byNewest(a, b),
+  price: (a, b) => priceOf(a.doc) - priceOf(b.doc) || b.relevance - a.relevance,
+  '-price': (a, b) => priceOf(b.doc) - priceOf(a.doc) || b.relevance - a.relevance,
+  newest: byNewest
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Validate search parameters
+const parseSearchQuery = (query) => {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  if (query.q !== undefined && typeof query.q !== 'string') {
+    throw badRequest('q must be a single search term');
+  }
+  if (q.length > searchConfig.maxQueryLength) {
+    throw badRequest(`Search term cannot be more than ${searchConfig.maxQueryLength} characters`);
+  }
+
+  const sort = query.sort || 'relevance';
+  if (!SEARCH_SORTS[sort]) {
+    throw badRequest(`Invalid sort. Use one of: ${Object.keys(SEARCH_SORTS).join(', ')}`);
+  }
+
+  let types = Object.keys(SEARCH_TYPES);
+  if (query.type) {
+    types = types.filter(type => type.toLowerCase() === String(query.type).toLowerCase());
+    if (types.length === 0) {
+      throw badRequest('type must be product or accessory');
+    }
+  }
+
+  // Only products have a category and size
+  if (query.category || query.size) {
+    types = types.filter(type => type === 'Product');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parsePositiveInt(query.limit, 'limit');
+  if (limit > MAX_LIMIT) {
+    throw badRequest(`limit cannot be more than ${MAX_LIMIT}`);
+  }
+
+  return {
+    q,
+    sort,
+    limit,
+    page: query.page === undefined ? 1 : parsePositiveInt(query.page, 'page'),
+    types: types.map(type => ({ itemType: type, filter: buildFilter(query, SEARCH_TYPES[type]) }))
+  };
+};
+
+// Matches of one item type as [{ doc, itemType, textScore, trigramScore }]
+const findMatches = async (itemType, filter, q) => {
+  const { model } = SEARCH_TYPES[itemType];
+  const max = searchConfig.maxCandidates;
+
+  // No search term: browse the filtered items, newest first
+  if (!q) {
+    const docs = await model.find(filter).sort({ createdAt: -1 }).limit(max).lean();
+    return docs.map(doc => ({ doc, itemType, textScore: 0, trigramScore: 0 }));
+  }
+
+  const grams = trigrams(q);
+
+  const [textMatches, fuzzyMatches] = await Promise.all([
+    model.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(max)
+      .lean(),
+    grams.length === 0 ? [] : model.aggregate([
+      { $match: { ...filter, searchTrigrams: { $in: grams } } },
+      {
+        $project: {
+          trigramScore: {
+            $divide: [{ $size: { $setIntersection: ['$searchTrigrams', grams] } }, grams.length]
+          }
+        }
+      },
+      { $match: { trigramScore: { $gte: searchConfig.trigramThreshold } } },
+      { $sort: { trigramScore: -1 } },
+      { $limit: max }
+    ])
+  ]);
+
+  const matches = new Map();
+
+  for (const { score, ...doc } of textMatches) {
+    matches.set(doc._id.toString(), { doc, itemType, textScore: score, trigramScore: 0 });
+  }
+
+  const fuzzyOnly = [];
+  for (const { _id, trigramScore } of fuzzyMatches) {
+    const match = matches.get(_id.toString());
+    if (match) {
+      match.trigramScore = trigramScore;
+    } else {
+      fuzzyOnly.push({ _id, trigramScore });
+    }
+  }
+
+  if (fuzzyOnly.length > 0) {
+    const docs = await model.find({ _id: { $in: fuzzyOnly.map(match => match._id) } }).lean();
+    const scores = new Map(fuzzyOnly.map(match => [match._id.toString(), match.trigramScore]));
+
+    for (const doc of docs) {
+      matches.set(doc._id.toString(), { doc, itemType, textScore: 0, trigramScore: scores.get(doc._id.toString()) });
+    }
+  }
+
+  return [...matches.values()];
+};
+
+// Count the values getValue returns (a value or an array of values) as
+// [{ value, count }], most common first. Each match counts once per value.
+const countBy = (matches, getValue) => {
+  const counts = new Map();
+
+  for (const match of matches) {
+    for (const value of new Set([].concat(getValue(match)))) {
+      if (value !== undefined && value !== null && value !== '') {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+const priceFacet = (matches) => {
+  const bounds = searchConfig.priceBuckets;
+  const buckets = [0, ...bounds].map((min, index) => ({
+    min,
+    max: index < bounds.length ? bounds[index] : null,
+    count: 0
+  }));
+
+  for (const { doc } of matches) {
+    const bucket = buckets.find(candidate => candidate.max === null || priceOf(doc) < candidate.max);
+    bucket.count++;
+  }
+
+  return buckets;
+};
+
+// Search the catalog. Returns { items, facets, pagination }; each item is the
+// product or accessory with itemType and relevance added.
+const searchCatalog = async (query) => {
+  const { q, sort, limit, page, types } = parseSearchQuery(query);
+
+  const matches = (await Promise.all(types.map(({ itemType, filter }) => findMatches(itemType, filter, q)))).flat();
+
+  // Text matches score 1-2 (scaled by the best text score), plus the share
+  // of matching trigrams, so they always rank above fuzzy-only matches
+  const maxTextScore = Math.max(0, ...matches.map(match => match.textScore));
+  for (const match of matches) {
+    match.relevance = (match.textScore > 0 ? 1 + match.textScore / maxTextScore : 0) + match.trigramScore;
+  }
+
+  matches.sort(SEARCH_SORTS[sort]);
+
+  const total = matches.length;
+  const start = (page - 1) * limit;
+  const items = matches.slice(start, start + limit).map(match => ({
+    ...match.doc,
+    itemType: match.itemType,
+    relevance: Math.round(match.relevance * 1000) / 1000
+  }));
+
+  return {
+    items,
+    facets: {
+      type: countBy(matches, match => match.itemType),
+      category: countBy(matches, match => match.doc.categoryTitle),
+      size: countBy(matches, match => (match.doc.variants || []).map(variant => variant.size)),
+      price: priceFacet(matches)
+    },
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasMore: start + limit < total,
+      nextCursor: null
+    }
+  };
+};
+
+module.exports = { searchCatalog, SEARCH_TYPES };
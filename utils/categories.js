@@ -0,0 +1,144 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const { syncCategorySuggestion } = require('./suggestions');
+const logger = require('./logger');
+
+// Products reference their Category by id. The category title is copied onto
+// each product (categoryTitle) for search, filters and facets; the helpers
+// below keep that copy in step when categories are renamed or merged.
+
+const categoryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Exact title first, then ignoring case
+const findCategoryByTitle = async (title) => (
+  await Category.findOne({ title }) ||
+  Category.findOne({ title }).collation({ locale: 'en', strength: 2 })
+);
+
+// The category a request names, by id or title. Throws an error with a
+// statusCode when there is none.
+const resolveCategory = async (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw categoryError('Please provide a valid category');
+  }
+
+  const ref = value.trim();
+  const category = (/^[0-9a-fA-F]{24}$/.test(ref) && await Category.findById(ref)) || await findCategoryByTitle(ref);
+
+  if (!category) {
+    throw categoryError(`Category ${ref} not found`);
+  }
+
+  return category;
+};
+
+// Fields to store on a product in the given category
+const categoryFields = (category) => ({
+  category: category._id,
+  categoryTitle: category.title
+});
+
+// Point the products of category `from` at category `to`, which may be the
+// same category under a new title. Coupons limited to `from` follow the
+// products. Returns the number of products changed.
+const moveCategoryProducts = async (from, to) => {
+  const result = await Product.updateMany({ category: from._id }, { $set: categoryFields(to) });
+
+  // updateMany skips the search hooks, so refresh the moved products' trigrams
+  if (result.modifiedCount > 0) {
+    await Product.rebuildSearchIndex({ category: to._id });
+  }
+
+  if (!from._id.equals(to._id)) {
+    await Coupon.updateMany({ categories: from._id }, { $addToSet: { categories: to._id } });
+    await Coupon.updateMany({ categories: from._id }, { $pull: { categories: from._id } });
+  }
+
+  return result.modifiedCount;
+};
+
+// Replace the category titles coupons were limited to before categories were
+// referenced with category ids. A coupon left with none of its categories
+// would apply to every product, so it is deactivated instead.
+const migrateCouponCategories = async () => {
+  const cursor = Coupon.collection.find({ categories: { $type: 'string' } }, { projection: { code: 1, categories: 1 } });
+
+  for await (const coupon of cursor) {
+    const ids = [];
+
+    for (const ref of coupon.categories) {
+      const category = typeof ref === 'string' ? await findCategoryByTitle(ref.trim()) : { _id: ref };
+      if (category) {
+        ids.push(category._id);
+      } else {
+        logger.warn(`Coupon ${coupon.code} is limited to unknown category "${ref}"; dropped`);
+      }
+    }
+
+    const update = { categories: ids };
+    if (ids.length === 0) {
+      update.isActive = false;
+      logger.warn(`Coupon ${coupon.code} has no known categories left and was deactivated`);
+    }
+
+    await Coupon.collection.updateOne({ _id: coupon._id, categories: coupon.categories }, { $set: update });
+  }
+};
+
+// Replace the free-text category of products created before categories were
+// referenced. Each text is matched to a Category title (ignoring case); texts
+// with no category get one, using a product image. Runs at startup and from
+// POST /api/products/migrate; migrated products are skipped. Returns the
+// number of products migrated.
+const migrateProductCategories = async () => {
+  const titles = await Product.collection.distinct('category', { category: { $type: 'string' } });
+  let migrated = 0;
+
+  for (const title of titles) {
+    let category = await findCategoryByTitle(title.trim());
+
+    if (!category) {
+      const sample = await Product.collection.findOne({ category: title }, { projection: { image: 1 } });
+
+      try {
+        category = await Category.create({ title: title.trim(), imageUrl: sample.image });
+        await syncCategorySuggestion(category);
+        logger.info(`Created category ${category.title} for existing products`);
+      } catch (error) {
+        logger.error(`Could not create a category for products in "${title}"; fix them by hand`, error);
+        continue;
+      }
+    }
+
+    const result = await Product.collection.updateMany({ category: title }, { $set: categoryFields(category) });
+    migrated += result.modifiedCount;
+  }
+
+  // The text index used to cover the category text; replace it so it covers the title
+  const indexes = await Product.collection.indexes();
+  if (indexes.some(index => index.name === 'search_text' && index.weights && index.weights.category)) {
+    await Product.collection.dropIndex('search_text');
+    await Product.createIndexes();
+  }
+
+  if (migrated > 0) {
+    await Product.rebuildSearchIndex();
+    logger.info(`Linked ${migrated} products to their categories`);
+  }
+
+  await migrateCouponCategories();
+
+  return migrated;
+};
+
+module.exports = {
+  resolveCategory,
+  categoryFields,
+  moveCategoryProducts,
+  migrateProductCategories
+};
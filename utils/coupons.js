@@ -0,0 +1,231 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const logger = require('./logger');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether an order line is inside the coupon's product/category scope
+const isEligible = (coupon, line) => {
+  const hasProducts = coupon.products && coupon.products.length > 0;
+  const hasCategories = coupon.categories && coupon.categories.length > 0;
+
+  if (!hasProducts && !hasCategories) {
+    return true;
+  }
+
+  if (hasProducts && coupon.products.some(id => id.toString() === line.product.toString())) {
+    return true;
+  }
+
+  return hasCategories && Boolean(line.category) &&
+    coupon.categories.some(id => id.toString() === line.category.toString());
+};
+
+// Spread `amount` over lines in proportion to their value; the last line
+// takes the rounding remainder so the parts add up exactly
+const allocate = (lines, amount) => {
+  const total = lines.reduce((sum, { line }) => sum + line.price * line.quantity, 0);
+  let remaining = amount;
+
+  return lines.map(({ index, line }, position) => {
+    const share = position === lines.length - 1
+      ? remaining
+      : roundMoney(amount * (line.price * line.quantity) / total);
+    remaining = roundMoney(remaining - share);
+    return { index, amount: share };
+  });
+};
+
+// Buy X get Y: pool the eligible units and make the cheapest ones free
+const buyXGetYDiscount = (coupon, eligible) => {
+  const units = [];
+  for (const { index, line } of eligible) {
+    for (let i = 0; i < line.quantity; i++) {
+      units.push({ index, price: line.price });
+    }
+  }
+
+  const freeUnits = Math.floor(units.length / (coupon.buyQuantity + coupon.getQuantity)) * coupon.getQuantity;
+  const perLine = {};
+
+  units
+    .sort((a, b) => a.price - b.price)
+    .slice(0, freeUnits)
+    .forEach(({ index, price }) => {
+      perLine[index] = roundMoney((perLine[index] || 0) + price);
+    });
+
+  return Object.keys(perLine).map(index => ({ index: Number(index), amount: perLine[index] }));
+};
+
+// Find an active coupon by code and check it against an order for a user.
+// `lines` are priced order lines ({ product, category id, quantity, price }).
+// Returns the discount breakdown or throws an error with a statusCode.
+const evaluateCoupon = async (code, { user, lines, subtotal, shippingFee }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Coupon not found', 404);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError('Coupon is not active yet');
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw couponError('Coupon has expired');
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit has been reached');
+  }
+
+  if (coupon.perUserLimit !== null) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: user._id });
+    if (used >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon the maximum number of times');
+    }
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(`Coupon requires a minimum order value of ${coupon.minOrderValue}`);
+  }
+
+  const eligible = lines
+    .map((line, index) => ({ index, line }))
+    .filter(({ line }) => isEligible(coupon, line));
+
+  if (eligible.length === 0) {
+    throw couponError('Coupon does not apply to any item in this order');
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, { line }) => sum + line.price * line.quantity, 0);
+  let lineDiscounts = [];
+  let shippingDiscount = 0;
+
+  switch (coupon.type) {
+    case 'percentage': {
+      let amount = roundMoney(eligibleSubtotal * coupon.value / 100);
+      if (coupon.maxDiscount !== null) {
+        amount = Math.min(amount, coupon.maxDiscount);
+      }
+      lineDiscounts = allocate(eligible, amount);
+      break;
+    }
+    case 'fixed':
+      lineDiscounts = allocate(eligible, roundMoney(Math.min(coupon.value, eligibleSubtotal)));
+      break;
+    case 'free_shipping':
+      shippingDiscount = shippingFee;
+      break;
+    case 'buy_x_get_y':
+      lineDiscounts = buyXGetYDiscount(coupon, eligible);
+      if (lineDiscounts.length === 0) {
+        throw couponError(`Add ${coupon.buyQuantity + coupon.getQuantity} eligible items to use this coupon`);
+      }
+      break;
+    default:
+      throw couponError('Unsupported coupon type');
+  }
+
+  const itemDiscount = roundMoney(lineDiscounts.reduce((sum, { amount }) => sum + amount, 0));
+
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    description: coupon.description,
+    itemDiscount,
+    shippingDiscount,
+    amount: roundMoney(itemDiscount + shippingDiscount),
+    lines: lineDiscounts.filter(({ amount }) => amount > 0)
+  };
+};
+
+// Take one of the user's uses of a coupon by writing the redemption row for
+// the order. Rows of coupons with a per-user limit take a numbered slot that
+// is unique per coupon and user, so concurrent orders cannot exceed it.
+const claimUserCoupon = async (coupon, fields) => {
+  if (coupon.perUserLimit === null) {
+    await CouponRedemption.create(fields);
+    return;
+  }
+
+  // Rows written before slots were numbered count as used slots
+  const unnumbered = await CouponRedemption.countDocuments({ coupon: coupon._id, user: fields.user, slot: null });
+
+  for (let slot = unnumbered + 1; slot <= coupon.perUserLimit; slot++) {
+    try {
+      await CouponRedemption.create({ ...fields, slot });
+      return;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw couponError('You have already used this coupon the maximum number of times', 409);
+};
+
+// Claim a use of a coupon for an order before the order is created: one of
+// the global usageLimit (the increment only matches while uses remain) and
+// one of the user's perUserLimit. `order` is the id the order will get.
+const claimCoupon = async (discount, { user, order }) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: discount.coupon,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  if (!coupon) {
+    throw couponError('Coupon usage limit has been reached', 409);
+  }
+
+  try {
+    await claimUserCoupon(coupon, { coupon: coupon._id, user, order, discount: discount.amount });
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    throw error;
+  }
+};
+
+// Give back a use claimed for an order, e.g. when order creation fails after
+// claimCoupon or the order is cancelled. Safe to call more than once: the
+// redemption row is deleted first and the count only drops if it existed.
+// Returns whether there was a use to give back.
+const unclaimCoupon = async (couponId, orderId) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ coupon: couponId, order: orderId });
+
+  if (redemption) {
+    await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+
+  return Boolean(redemption);
+};
+
+// Give back the coupon uses of a cancelled order
+const releaseOrderCoupons = async (order) => {
+  for (const discount of order.discounts || []) {
+    if (await unclaimCoupon(discount.coupon, order._id)) {
+      logger.info(`Coupon ${discount.code} released from order ${order.orderId}`);
+    }
+  }
+};
+
+module.exports = {
+  roundMoney,
+  evaluateCoupon,
+  claimCoupon,
+  unclaimCoupon,
+  releaseOrderCoupons
+};
@@ -0,0 +1,177 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { sendEmail } = require('./sendEmail');
+const emailConfig = require('../config/email');
+const logger = require('./logger');
+
+const { outbox } = emailConfig;
+
+// Store a message for the worker to deliver. Takes the same options as
+// sendEmail plus template (a label for the admin view) and sensitive.
+// Returns the outbox document; only fails if the message cannot be stored.
+const queueEmail = async ({ email, subject, message, html, template, sensitive = false }) => {
+  const queued = await EmailOutbox.create({
+    to: email,
+    subject,
+    text: message,
+    html,
+    template,
+    sensitive,
+    maxAttempts: outbox.maxAttempts
+  });
+
+  logger.info(`Queued email ${queued._id}${template ? ` (${template})` : ''}`);
+
+  return queued;
+};
+
+// Delay before retrying after the given number of failed attempts
+const retryDelaySeconds = (attempts) => Math.min(
+  outbox.retryBaseSeconds * 2 ** (attempts - 1),
+  outbox.retryMaxSeconds
+);
+
+// Atomically claim the next due message (or one whose sending claim
+// expired), so several workers never deliver the same message.
+const claimNext = () => {
+  const now = new Date();
+
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + outbox.lockSeconds * 1000) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliver = async (queued) => {
+  try {
+    const result = await sendEmail({
+      email: queued.to,
+      subject: queued.subject,
+      message: queued.text,
+      html: queued.html
+    });
+
+    const update = {
+      $set: { status: 'sent', sentAt: new Date(), messageId: result.messageId },
+      $unset: { lockedUntil: 1, lastError: 1 }
+    };
+
+    if (queued.sensitive) {
+      update.$unset.text = 1;
+      update.$unset.html = 1;
+    }
+
+    await EmailOutbox.updateOne({ _id: queued._id, status: 'sending' }, update);
+    logger.info(`Sent email ${queued._id}`);
+  } catch (error) {
+    const dead = queued.attempts >= queued.maxAttempts;
+    const set = { status: dead ? 'dead' : 'pending', lastError: error.message };
+
+    if (!dead) {
+      set.nextAttemptAt = new Date(Date.now() + retryDelaySeconds(queued.attempts) * 1000);
+    }
+
+    await EmailOutbox.updateOne({ _id: queued._id, status: 'sending' }, { $set: set, $unset: { lockedUntil: 1 } });
+
+    if (dead) {
+      logger.error(`Email ${queued._id} failed ${queued.attempts} times and was marked dead: ${error.message}`);
+    } else {
+      logger.warn(`Email ${queued._id} failed (attempt ${queued.attempts} of ${queued.maxAttempts}), retrying at ${set.nextAttemptAt.toISOString()}: ${error.message}`);
+    }
+  }
+};
+
+// Deliver up to batchSize due messages. Returns how many were attempted.
+const processOutbox = async () => {
+  let processed = 0;
+
+  while (processed < outbox.batchSize) {
+    const queued = await claimNext();
+    if (!queued) {
+      break;
+    }
+
+    await deliver(queued);
+    processed++;
+  }
+
+  return processed;
+};
+
+// Move a dead message back to pending with a fresh set of attempts
+const requeueEmail = async (id, actor) => {
+  const queued = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        maxAttempts: outbox.maxAttempts,
+        nextAttemptAt: new Date(),
+        resentBy: actor,
+        resentAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!queued) {
+    const exists = await EmailOutbox.exists({ _id: id });
+    const error = new Error(exists ? 'Only dead emails can be resent' : 'Email not found');
+    error.statusCode = exists ? 409 : 404;
+    throw error;
+  }
+
+  return queued;
+};
+
+let timer = null;
+let running = false;
+
+// Poll the outbox every pollIntervalMs (a no-op if disabled or already started)
+const startEmailWorker = () => {
+  if (!outbox.workerEnabled || timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      logger.error('Email outbox worker failed', error);
+    } finally {
+      running = false;
+    }
+  }, outbox.pollIntervalMs);
+
+  // Do not keep the process alive just for the worker
+  timer.unref();
+
+  logger.info(`Email outbox worker started (${emailConfig.transport} transport)`);
+};
+
+const stopEmailWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  requeueEmail,
+  startEmailWorker,
+  stopEmailWorker
+};
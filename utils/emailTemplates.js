@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email templates live in templates/emails as <name>.html and <name>.txt.
+// The first line of the .txt file is "Subject: ..." and the .html body is
+// wrapped in layout.html. Placeholders:
+//   {{name}}              value, HTML-escaped in .html files
+//   {{{name}}}            value inserted as-is (pre-built HTML)
+//   {{#name}}...{{/name}} section kept only when name is truthy
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Files are cached in production; in development edits show up immediately
+const readTemplate = (file) => {
+  if (process.env.NODE_ENV === 'production' && cache.has(file)) {
+    return cache.get(file);
+  }
+
+  const source = fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8');
+  cache.set(file, source);
+  return source;
+};
+
+const interpolate = (source, vars, escape) => {
+  const lookup = (name) => {
+    const value = vars[name];
+    return value === undefined || value === null ? '' : value;
+  };
+
+  // Values are substituted in a single pass so their content is never re-parsed
+  return source
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) => (vars[name] ? body : ''))
+    .replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (match, raw, name) => (
+      raw ? String(lookup(raw)) : (escape ? escapeHtml(lookup(name)) : String(lookup(name)))
+    ));
+};
+
+// Render a template into { subject, message, html } for sendEmail
+const renderTemplate = (name, vars = {}) => {
+  const text = interpolate(readTemplate(`${name}.txt`), vars, false);
+  const match = text.match(/^Subject:[ \t]*(.*)\r?\n/);
+
+  if (!match) {
+    throw new Error(`Email template ${name}.txt must start with a Subject: line`);
+  }
+
+  const content = interpolate(readTemplate(`${name}.html`), vars, true);
+  const html = interpolate(readTemplate('layout.html'), { ...vars, subject: match[1], content }, true);
+
+  return {
+    subject: match[1].trim(),
+    message: text.slice(match[0].length).replace(/^\s+/, ''),
+    html
+  };
+};
+
+module.exports = { renderTemplate, escapeHtml };
@@ -0,0 +1,105 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const logger = require('./logger');
+
+// Stock is tracked per product variant, only for variants whose `stock` is a
+// number; variants without a stock count (null) and accessories are treated as
+// always available.
+
+const isAccessoryLine = (line) => line.itemType === 'Accessory';
+
+// Matches the product while the line's variant has tracked stock (and at least
+// `atLeast` units), so `variants.$` in the update is that variant
+const variantStockFilter = (line, atLeast) => ({
+  _id: line.product,
+  variants: {
+    $elemMatch: {
+      _id: line.variant,
+      stock: atLeast === undefined ? { $type: 'number' } : { $type: 'number', $gte: atLeast }
+    }
+  }
+});
+
+// Put back stock taken by reserveStock / an order's reserved lines
+const releaseStock = async (lines) => {
+  for (const line of lines) {
+    // Lines without a variant belong to products deleted before variants existed
+    if (!line.stockReserved || isAccessoryLine(line) || !line.variant) {
+      continue;
+    }
+
+    await Product.updateOne(
+      variantStockFilter(line),
+      { $inc: { 'variants.$.stock': line.quantity } }
+    );
+  }
+};
+
+// Atomically take stock for each line ({ product, variant, quantity }). The decrement
+// only matches while enough stock is left, so two orders racing for the last
+// unit cannot both succeed. If any line fails, lines already reserved are
+// released again and an error with statusCode 409 is thrown.
+// Returns the lines with `stockReserved` set for tracked variants.
+const reserveStock = async (lines) => {
+  const reserved = [];
+
+  try {
+    for (const line of lines) {
+      if (isAccessoryLine(line)) {
+        reserved.push({ ...line, stockReserved: false });
+        continue;
+      }
+
+      const result = await Product.updateOne(
+        variantStockFilter(line, line.quantity),
+        { $inc: { 'variants.$.stock': -line.quantity } }
+      );
+
+      if (result.modifiedCount === 1) {
+        reserved.push({ ...line, stockReserved: true });
+        continue;
+      }
+
+      // Not updated: either the variant is untracked or there is not enough stock
+      const product = await Product.findById(line.product).select('name variants');
+      const variant = product && product.variants.id(line.variant);
+
+      if (variant && typeof variant.stock === 'number') {
+        const error = new Error(`Insufficient stock for ${product.name} (${variant.sku}): ${variant.stock} available`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      reserved.push({ ...line, stockReserved: false });
+    }
+  } catch (error) {
+    await releaseStock(reserved);
+    throw error;
+  }
+
+  return reserved;
+};
+
+// Release the stock held by an order exactly once. The order's stockStatus is
+// flipped atomically first so concurrent cancel/delete calls cannot restock twice.
+const releaseOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockStatus: 'reserved' },
+    { stockStatus: 'released' }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  await releaseStock(claimed.products);
+  logger.info(`Stock released for order ${claimed.orderId}`);
+
+  return true;
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  releaseOrderStock
+};
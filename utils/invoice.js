@@ -0,0 +1,161 @@
+const { createPdf } = require('./pdf');
+const { getProvider } = require('./payments');
+const invoiceConfig = require('../config/invoice');
+const paymentsConfig = require('../config/payments');
+
+const MARGIN = 50;
+const BOTTOM = 780;
+
+// Table columns: label, right edge (or left edge for text columns), alignment
+const COLUMNS = [
+  { key: 'name', label: 'Item', x: MARGIN, align: 'left' },
+  { key: 'size', label: 'Size', x: 290, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 360, align: 'right' },
+  { key: 'price', label: 'Unit price', x: 430, align: 'right' },
+  { key: 'discount', label: 'Discount', x: 490, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 545, align: 'right' }
+];
+
+const money = (amount) => (Number(amount) || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Cut text to fit a column width
+const fit = (doc, text, width, size) => {
+  const value = String(text || '');
+  if (doc.textWidth(value, size) <= width) {
+    return value;
+  }
+
+  let cut = value;
+  while (cut.length > 0 && doc.textWidth(`${cut}...`, size) > width) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut}...`;
+};
+
+// Render an invoice for an order as a PDF buffer. `order` is the object from
+// order.toResponse() with `user` populated.
+const renderInvoice = (order) => {
+  const doc = createPdf();
+  const currency = paymentsConfig.currency;
+  const { seller } = invoiceConfig;
+  let y = MARGIN;
+
+  // Header: title and seller
+  doc.text(MARGIN, y + 14, 'INVOICE', { size: 20, bold: true });
+  const sellerLines = seller.address.split(/\n|,\s*/).map(line => line.trim()).filter(Boolean);
+  if (seller.taxId) {
+    sellerLines.push(`${invoiceConfig.taxLabel} ID: ${seller.taxId}`);
+  }
+
+  doc.text(545, y + 4, seller.name, { size: 11, bold: true, align: 'right' });
+  sellerLines.forEach((line, index) => {
+    doc.text(545, y + 18 + index * 12, line, { size: 9, align: 'right' });
+  });
+
+  y += Math.max(70, 30 + sellerLines.length * 12);
+
+  // Invoice details
+  const details = [
+    ['Invoice number', order.invoiceNumber],
+    ['Invoice date', formatDate(order.invoicedAt)],
+    ['Order number', order.orderId],
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment method', (getProvider(order.paymentMethod) || { label: order.paymentMethod }).label],
+    ['Payment status', order.paymentStatus]
+  ];
+  details.forEach(([label, value], index) => {
+    doc.text(MARGIN, y + index * 14, `${label}:`, { size: 10, bold: true });
+    doc.text(MARGIN + 100, y + index * 14, value || '-', { size: 10 });
+  });
+
+  // Ship to (address snapshot)
+  const address = order.shippingAddress || {};
+  const shipTo = [
+    [address.firstName, address.lastName].filter(Boolean).join(' '),
+    address.address,
+    address.apartmentSuite,
+    [address.city, address.state, address.pinCode].filter(Boolean).join(', '),
+    address.countryRegion,
+    address.phone,
+    order.user && order.user.email
+  ].filter(Boolean);
+
+  doc.text(330, y, 'Ship to', { size: 10, bold: true });
+  shipTo.forEach((line, index) => {
+    doc.text(330, y + 14 + index * 12, fit(doc, line, 215, 9), { size: 9 });
+  });
+
+  y += Math.max(details.length * 14, 14 + shipTo.length * 12) + 25;
+
+  // Line items
+  const header = () => {
+    COLUMNS.forEach(column => doc.text(column.x, y, column.label, { size: 9, bold: true, align: column.align }));
+    doc.line(MARGIN, y + 5, 545, y + 5);
+    y += 18;
+  };
+
+  header();
+
+  for (const line of order.products) {
+    if (y > BOTTOM) {
+      doc.addPage();
+      y = MARGIN;
+      header();
+    }
+
+    const product = line.product || {};
+    const row = {
+      name: fit(doc, product.name || 'Item no longer available', 230, 9),
+      size: product.size || '-',
+      quantity: String(line.quantity),
+      price: money(line.price),
+      discount: line.discount ? `-${money(line.discount)}` : '',
+      amount: money(line.price * line.quantity - (line.discount || 0))
+    };
+
+    COLUMNS.forEach(column => doc.text(column.x, y, row[column.key], { size: 9, align: column.align }));
+    y += 14;
+  }
+
+  doc.line(MARGIN, y - 6, 545, y - 6);
+  y += 8;
+
+  // Totals
+  const totals = [['Subtotal', money(order.subtotal !== undefined ? order.subtotal : order.totalAmount)]];
+
+  (order.discounts || []).forEach(discount => {
+    totals.push([`Discount (${discount.code})`, `-${money(discount.amount)}`]);
+  });
+
+  totals.push(['Shipping', money(order.shippingFee)]);
+  totals.push([`Total (${currency})`, money(order.totalAmount), true]);
+
+  const taxRate = order.invoiceTaxRate || 0;
+  if (taxRate > 0) {
+    const tax = order.totalAmount * taxRate / (100 + taxRate);
+    totals.push([`Includes ${invoiceConfig.taxLabel} @ ${taxRate}%`, money(tax)]);
+  }
+
+  if (order.refundedAmount > 0) {
+    totals.push(['Refunded', `-${money(order.refundedAmount)}`]);
+  }
+
+  if (y + totals.length * 16 > BOTTOM) {
+    doc.addPage();
+    y = MARGIN;
+  }
+
+  totals.forEach(([label, value, bold]) => {
+    doc.text(460, y, label, { size: 10, bold: Boolean(bold), align: 'right' });
+    doc.text(545, y, value, { size: 10, bold: Boolean(bold), align: 'right' });
+    y += 16;
+  });
+
+  doc.text(MARGIN, 810, 'This invoice was generated electronically and is valid without a signature.', { size: 8 });
+
+  return doc.toBuffer();
+};
+
+module.exports = { renderInvoice };
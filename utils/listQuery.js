@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+
+// Shared filtering, sorting and pagination for public list endpoints
+// (products, accessories, explore, videos).
+//
+// A spec describes what a list accepts:
+//   filters: { param: { field, type: 'string' | 'number' | 'boolean', op, multiple } }
+//     string filters match exactly (multiple: comma separated values, any
+//     matches); number filters compare with op ($gte, $lte, ...); boolean
+//     filters accept true/false.
+//   sorts: { key: { field, direction: 1 | -1, type: 'date' | 'number' | 'string' } }
+//   defaultSort: key of sorts used when no sort is given
+//   baseFilter: conditions always applied (e.g. { isExplore: true })
+//
+// Clients page with page/limit, or with cursor/limit (keyset pagination,
+// stable while items are added). Every paged response has both a page count
+// and the cursor for the next page. Without page, limit or cursor the whole
+// list is returned, as before pagination was added.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sorts and filters shared by the catalog lists, on the given price field
+const catalogSorts = (priceField) => ({
+  newest: { field: 'createdAt', direction: -1, type: 'date' },
+  oldest: { field: 'createdAt', direction: 1, type: 'date' },
+  price: { field: priceField, direction: 1, type: 'number' },
+  '-price': { field: priceField, direction: -1, type: 'number' },
+  name: { field: 'name', direction: 1, type: 'string' },
+  '-name': { field: 'name', direction: -1, type: 'string' }
+});
+
+const priceFilters = (priceField) => ({
+  minPrice: { field: priceField, type: 'number', op: '$gte' },
+  maxPrice: { field: priceField, type: 'number', op: '$lte' }
+});
+
+const CATALOG_SORTS = catalogSorts('price');
+const PRICE_FILTERS = priceFilters('price');
+
+// Products sell per variant, so their lists go by the lowest variant price
+const PRODUCT_SORTS = catalogSorts('priceFrom');
+const PRODUCT_PRICE_FILTERS = priceFilters('priceFrom');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parsePositiveInt = (value, name) => {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw badRequest(`${name} must be a positive whole number`);
+  }
+
+  return number;
+};
+
+const castSortValue = (value, sort) => {
+  if (value === null) {
+    return null;
+  }
+  if (sort.type === 'date') {
+    return new Date(value);
+  }
+  if (sort.type === 'number') {
+    return Number(value);
+  }
+  return String(value);
+};
+
+// Cursors are opaque to clients: the sort value and _id of the last item returned
+const encodeCursor = (item, sort) => Buffer
+  .from(JSON.stringify({ v: item[sort.field] === undefined ? null : item[sort.field], id: item._id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('bad id');
+    }
+
+    const value = castSortValue(v, sort);
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+      throw new Error('bad date');
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+// Condition selecting the items after the cursor in the given sort order
+const afterCursor = (cursor, sort) => {
+  const beyond = sort.direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [sort.field]: { [beyond]: cursor.value } },
+      { [sort.field]: cursor.value, _id: { [beyond]: cursor.id } }
+    ]
+  };
+};
+
+// Build the Mongo filter from query parameters described by spec.filters
+const buildFilter = (query, { filters = {}, baseFilter = {} }) => {
+  const filter = { ...baseFilter };
+
+  for (const [param, definition] of Object.entries(filters)) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') {
+      continue;
+    }
+
+    const field = definition.field || param;
+
+    if (definition.type === 'number') {
+      const value = Number(raw);
+      if (Number.isNaN(value)) {
+        throw badRequest(`${param} must be a number`);
+      }
+      filter[field] = { ...filter[field], [definition.op || '$eq']: value };
+    } else if (definition.type === 'boolean') {
+      if (raw !== 'true' && raw !== 'false') {
+        throw badRequest(`${param} must be true or false`);
+      }
+      filter[field] = raw === 'true';
+    } else if (definition.multiple) {
+      const values = String(raw).split(',').map(value => value.trim()).filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    } else {
+      filter[field] = String(raw);
+    }
+  }
+
+  return filter;
+};
+
+// Validate list query parameters. Returns { filter, sort, limit, page, cursor };
+// limit is null when the client asked for no page.
+const parseListQuery = (query, spec) => {
+  const sortKey = query.sort || spec.defaultSort;
+  const sort = spec.sorts[sortKey];
+
+  if (!sort) {
+    throw badRequest(`Invalid sort. Use one of: ${Object.keys(spec.sorts).join(', ')}`);
+  }
+
+  if (query.page === undefined && query.limit === undefined && query.cursor === undefined) {
+    return { filter: buildFilter(query, spec), sort, limit: null, page: null, cursor: null };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parsePositiveInt(query.limit, 'limit');
+  if (limit > MAX_LIMIT) {
+    throw badRequest(`limit cannot be more than ${MAX_LIMIT}`);
+  }
+
+  if (query.cursor !== undefined && query.page !== undefined) {
+    throw badRequest('Use either page or cursor, not both');
+  }
+
+  return {
+    filter: buildFilter(query, spec),
+    sort,
+    limit,
+    page: query.cursor === undefined ? (query.page === undefined ? 1 : parsePositiveInt(query.page, 'page')) : null,
+    cursor: query.cursor === undefined ? null : decodeCursor(query.cursor, sort)
+  };
+};
+
+// Run a list query. Returns { items, pagination } where items are documents
+// and pagination is { total, page, pages, limit, hasMore, nextCursor }
+// (page 1 of 1 with a null limit for the whole list).
+// options.select (a space separated field list) and options.populate are
+// applied to the find.
+const listQuery = async (Model, query, spec, { select, populate } = {}) => {
+  const { filter, sort, limit, page, cursor } = parseListQuery(query, spec);
+  const pageFilter = cursor ? { $and: [filter, afterCursor(cursor, sort)] } : filter;
+
+  let find = Model.find(pageFilter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction });
+
+  if (limit) {
+    find = find.limit(limit + 1);
+  }
+  if (page) {
+    find = find.skip((page - 1) * limit);
+  }
+  if (select) {
+    // The sort field is needed to build the next cursor
+    find = find.select(`${select} ${sort.field}`);
+  }
+  if (populate) {
+    find = find.populate(populate);
+  }
+
+  if (!limit) {
+    const items = await find;
+    return {
+      items,
+      pagination: { total: items.length, page: 1, pages: 1, limit: null, hasMore: false, nextCursor: null }
+    };
+  }
+
+  const [found, total] = await Promise.all([find, Model.countDocuments(filter)]);
+  const hasMore = found.length > limit;
+  const items = found.slice(0, limit);
+
+  return {
+    items,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  CATALOG_SORTS,
+  PRICE_FILTERS,
+  PRODUCT_SORTS,
+  PRODUCT_PRICE_FILTERS,
+  parsePositiveInt,
+  buildFilter,
+  parseListQuery,
+  listQuery,
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
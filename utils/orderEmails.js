@@ -0,0 +1,110 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const { queueEmail } = require('./emailOutbox');
+const { renderTemplate, escapeHtml } = require('./emailTemplates');
+const emailConfig = require('../config/email');
+const ordersConfig = require('../config/orders');
+const paymentsConfig = require('../config/payments');
+const security = require('../config/security');
+const logger = require('./logger');
+
+const money = (amount) => `${paymentsConfig.currency} ${(Number(amount) || 0).toFixed(2)}`;
+
+// Long-lived token for the unsubscribe link in non-essential emails
+const getUnsubscribeToken = (userId) => jwt.sign(
+  { id: userId, purpose: 'unsubscribe' },
+  process.env.JWT_SECRET
+);
+
+const buildVariables = (order, user, event, extra) => {
+  const response = order.toResponse();
+  const lines = response.products.map(line => {
+    const product = line.product || {};
+    const name = product.name || line.name || 'Item';
+    const size = line.size ? ` (${line.size})` : '';
+    const amount = line.price * line.quantity - (line.discount || 0);
+
+    return { label: `${name}${size} x ${line.quantity}`, amount: money(amount) };
+  });
+
+  const vars = {
+    storeName: emailConfig.storeName,
+    firstName: user.firstName,
+    orderId: order.orderId,
+    orderUrl: `${security.frontendUrl}${emailConfig.orderUrl.replace(':orderId', encodeURIComponent(order.orderId))}`,
+    total: money(order.totalAmount),
+    paymentMethod: order.paymentMethod,
+    invoiceNumber: order.invoiceNumber,
+    trackingNumber: order.trackingNumber,
+    carrier: order.carrier,
+    trackingUrl: order.trackingUrl,
+    returnWindowDays: ordersConfig.returnWindowDays,
+    itemsText: lines.map(line => `- ${line.label}: ${line.amount}`).join('\n'),
+    ...extra
+  };
+
+  vars.itemsHtml = lines
+    .map(line => `<tr><td>${escapeHtml(line.label)}</td><td class="amount">${escapeHtml(line.amount)}</td></tr>`)
+    .join('\n  ');
+
+  if (vars.refundAmount !== undefined) {
+    vars.refundAmount = money(vars.refundAmount);
+  }
+
+  if (!emailConfig.orderEvents[event].essential) {
+    vars.unsubscribeUrl = `${security.frontendUrl}/unsubscribe/${getUnsubscribeToken(user._id)}`;
+  }
+
+  return vars;
+};
+
+// Queue an email to the order's customer about an order event (see
+// config/email.js). extra holds event-specific template variables, e.g.
+// { reason, refundAmount }. Never throws: a failure is logged and must not
+// fail the order change.
+const sendOrderEmail = async (orderOrId, event, extra = {}) => {
+  try {
+    const settings = emailConfig.orderEvents[event];
+    if (!settings) {
+      throw new Error(`Unknown order email event ${event}`);
+    }
+
+    const order = await Order.findById(orderOrId._id || orderOrId)
+      .populate('user', 'firstName lastName email emailOptOut');
+
+    if (!order || !order.user) {
+      logger.warn(`Skipping ${event} email: order or customer not found`);
+      return;
+    }
+
+    const user = order.user;
+
+    if (!settings.essential && user.emailOptOut) {
+      logger.info(`Skipping ${event} email for order ${order.orderId}: customer opted out`);
+      return;
+    }
+
+    if (!order.hasSnapshot()) {
+      await order.populate({ path: 'products.product', select: 'name' });
+    }
+
+    const template = renderTemplate(settings.template, buildVariables(order, user, event, extra));
+
+    if (security.logEmailLinks) {
+      logger.info(`[email disabled] ${template.subject} for ${user.email}`);
+      return;
+    }
+
+    await queueEmail({
+      email: user.email,
+      subject: template.subject,
+      message: template.message,
+      html: template.html,
+      template: settings.template
+    });
+  } catch (error) {
+    logger.error(`Failed to send ${event} email for order ${orderOrId.orderId || orderOrId}`, error);
+  }
+};
+
+module.exports = { sendOrderEmail };
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Cash on delivery. Nothing is charged up front; the payment is captured
+// when staff record that the cash was collected, and refunds are paid out
+// by hand. There are no webhooks.
+const cod = {
+  name: 'cod',
+  label: 'Cash on delivery',
+
+  async createIntent() {
+    return {
+      providerRef: `cod_${crypto.randomBytes(12).toString('hex')}`
+    };
+  },
+
+  async capture() {
+    return { status: 'paid' };
+  },
+
+  async refund() {
+    return {
+      providerRef: `cod_re_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'succeeded'
+    };
+  },
+
+  verifyWebhook() {
+    const error = new Error('Cash on delivery does not send webhooks');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+module.exports = cod;
@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const Order = require('../../models/Order');
+const paymentsConfig = require('../../config/payments');
+const logger = require('../logger');
+const { sendOrderEmail } = require('../orderEmails');
+const cod = require('./cod');
+const mockCard = require('./mockCard');
+
+// Every provider implements the same interface:
+//   createIntent({ order })                 -> { providerRef, clientSecret? }
+//   capture({ payment })                    -> { status: 'paid' | 'failed' }
+//   refund({ payment, amount, reason })     -> { providerRef, status: 'succeeded' | 'pending' }
+//   verifyWebhook({ rawBody, headers })     -> { id, type, providerRef, refundRef?, amount? }
+// verifyWebhook throws an error with statusCode 400 when the signature is bad.
+// Webhook event types are payment.succeeded, payment.failed and refund.succeeded.
+const PROVIDERS = {
+  [cod.name]: cod
+};
+
+// The mock card provider marks payments paid without charging anyone, so it
+// is only registered outside production and with its own webhook secret
+if (paymentsConfig.enabledProviders.includes(mockCard.name)) {
+  if (process.env.NODE_ENV === 'production') {
+    logger.warn(`Payment provider ${mockCard.name} is not available in production`);
+  } else if (!paymentsConfig.mockCardWebhookSecret) {
+    logger.warn(`Payment provider ${mockCard.name} needs MOCK_CARD_WEBHOOK_SECRET and was not enabled`);
+  } else {
+    PROVIDERS[mockCard.name] = mockCard;
+  }
+}
+
+// Statuses a payment may move to from each status
+const PAYMENT_TRANSITIONS = {
+  pending: ['paid', 'failed'],
+  failed: ['paid'],
+  paid: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  refunded: []
+};
+
+const allowedFrom = (to) => Object.keys(PAYMENT_TRANSITIONS).filter(from => PAYMENT_TRANSITIONS[from].includes(to));
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Enabled provider by name, or null
+const getProvider = (name) => (
+  paymentsConfig.enabledProviders.includes(name) && PROVIDERS[name] ? PROVIDERS[name] : null
+);
+
+// Providers customers can choose from
+const listProviders = () => paymentsConfig.enabledProviders
+  .filter(name => PROVIDERS[name])
+  .map(name => ({ name, label: PROVIDERS[name].label }));
+
+// The order's current payment: the newest one that has not failed
+const findActivePayment = (orderId) => Payment.findOne({ order: orderId, status: { $ne: 'failed' } })
+  .select('+clientSecret')
+  .sort({ createdAt: -1 });
+
+// Return the order's active payment, creating an intent with its provider if
+// there is none yet (or the previous attempt failed)
+const createPayment = async (order) => {
+  const existing = await findActivePayment(order._id);
+  if (existing) {
+    return existing;
+  }
+
+  const provider = getProvider(order.paymentMethod);
+  if (!provider) {
+    throw paymentError(`Payment method ${order.paymentMethod} is not available`, 400);
+  }
+
+  const intent = await provider.createIntent({ order });
+
+  const payment = await Payment.create({
+    order: order._id,
+    user: order.user,
+    provider: provider.name,
+    providerRef: intent.providerRef,
+    clientSecret: intent.clientSecret,
+    amount: order.totalAmount,
+    currency: paymentsConfig.currency
+  });
+
+  logger.info(`Payment ${payment.providerRef} created for order ${order.orderId} via ${provider.name}`);
+
+  return payment;
+};
+
+// Move a payment to paid or failed and mirror it on the order. Both updates
+// only match from a status that allows the change, and an eventId is applied
+// at most once, so repeated calls and redelivered webhooks are no-ops.
+// Returns the updated payment, or null if nothing changed.
+const setPaymentStatus = async (payment, status, { eventId } = {}) => {
+  const filter = { _id: payment._id, status: { $in: allowedFrom(status) } };
+  const update = { $set: { status, [status === 'paid' ? 'paidAt' : 'failedAt']: new Date() } };
+
+  if (eventId) {
+    filter.processedEvents = { $ne: eventId };
+    update.$push = { processedEvents: eventId };
+  }
+
+  const updated = await Payment.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    return null;
+  }
+
+  await Order.updateOne(
+    { _id: updated.order, paymentStatus: { $in: allowedFrom(status) } },
+    { paymentStatus: status }
+  );
+
+  if (status === 'paid') {
+    await Order.assignInvoiceNumber(updated.order);
+    await sendOrderEmail(updated.order, 'paid');
+  }
+
+  logger.info(`Payment ${updated.providerRef} marked ${status}`);
+
+  return updated;
+};
+
+// Record a refund that the provider has completed. Each provider refund id
+// (and webhook event id) is applied once, and replaces the pending refund it
+// settles (`reservation`, or the one with the same providerRef). Returns the
+// updated payment, or null if the refund was already recorded or nothing is
+// left to refund.
+const applyRefund = async (payment, amount, { providerRef, reason, eventId, reservation } = {}) => {
+  const remaining = payment.amount - payment.refundedAmount;
+  const refundAmount = Math.min(amount === undefined ? remaining : amount, remaining);
+
+  if (!(refundAmount > 0)) {
+    return null;
+  }
+
+  // Only matches while the refund still fits in the payment (compared in
+  // cents), so concurrent refunds cannot take back more than was paid
+  const filter = {
+    _id: payment._id,
+    status: { $in: allowedFrom('refunded') },
+    'refunds.providerRef': { $ne: providerRef },
+    $expr: { $lte: [{ $round: [{ $add: ['$refundedAmount', refundAmount] }, 2] }, '$amount'] }
+  };
+  const update = {
+    $inc: { refundedAmount: refundAmount },
+    $push: { refunds: { providerRef, amount: refundAmount, reason } },
+    $pull: { pendingRefunds: reservation ? { _id: reservation } : { providerRef } }
+  };
+
+  if (eventId) {
+    filter.processedEvents = { $ne: eventId };
+    update.$push.processedEvents = eventId;
+  }
+
+  const updated = await Payment.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    return null;
+  }
+
+  await Payment.updateOne({ _id: updated._id }, [
+    {
+      $set: {
+        status: { $cond: [{ $gte: ['$refundedAmount', '$amount'] }, 'refunded', 'partially_refunded'] }
+      }
+    }
+  ]);
+
+  // Single pipeline update so concurrent refunds see each other's totals
+  await Order.updateOne({ _id: updated.order }, [
+    { $set: { refundedAmount: { $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] } } },
+    {
+      $set: {
+        paymentStatus: {
+          $cond: [{ $gte: ['$refundedAmount', '$totalAmount'] }, 'refunded', 'partially_refunded']
+        }
+      }
+    }
+  ]);
+
+  logger.info(`Refund ${providerRef} of ${refundAmount} applied to payment ${updated.providerRef}`);
+
+  await sendOrderEmail(updated.order, 'refunded', { refundAmount, reason });
+
+  return updated;
+};
+
+// Capture the order's payment (e.g. cash collected on delivery)
+const capturePayment = async (order) => {
+  const payment = await createPayment(order);
+
+  if (payment.status !== 'pending') {
+    throw paymentError(`Payment is already ${payment.status}`, 409);
+  }
+
+  const result = await PROVIDERS[payment.provider].capture({ payment });
+  await setPaymentStatus(payment, result.status);
+
+  return Payment.findById(payment._id);
+};
+
+// Amount pending refunds hold on a payment
+const pendingRefundTotal = (payment) => (payment.pendingRefunds || [])
+  .reduce((sum, pending) => sum + pending.amount, 0);
+
+const dropPendingRefund = (payment, reservation) => Payment.updateOne(
+  { _id: payment._id },
+  { $pull: { pendingRefunds: { _id: reservation } } }
+);
+
+// Refund part or all (amount undefined) of an order's captured payment
+// through its provider. The amount is reserved on the payment before the
+// provider is called, and the reservation only matches while refunded and
+// pending amounts leave room for it, so concurrent refunds cannot pay out
+// more than was paid; a refund that does not fit fails with 409.
+// Returns the payment, or null if the order has no captured payment.
+const refundOrder = async (order, amount, reason) => {
+  const payment = await Payment.findOne({
+    order: order._id,
+    status: { $in: allowedFrom('refunded') }
+  }).sort({ createdAt: -1 });
+
+  if (!payment) {
+    logger.warn(`No captured payment to refund for order ${order.orderId}`);
+    return null;
+  }
+
+  const remaining = payment.amount - payment.refundedAmount - pendingRefundTotal(payment);
+  const refundAmount = amount === undefined ? remaining : Math.min(amount, remaining);
+
+  if (!(refundAmount > 0)) {
+    return payment;
+  }
+
+  const reservation = new mongoose.Types.ObjectId();
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: allowedFrom('refunded') },
+      $expr: {
+        $lte: [
+          { $round: [{ $add: ['$refundedAmount', { $sum: '$pendingRefunds.amount' }, refundAmount] }, 2] },
+          '$amount'
+        ]
+      }
+    },
+    { $push: { pendingRefunds: { _id: reservation, amount: refundAmount, reason } } }
+  );
+
+  if (!reserved) {
+    throw paymentError('Another refund of this payment is in progress or it has nothing left to refund', 409);
+  }
+
+  let result;
+  try {
+    result = await PROVIDERS[payment.provider].refund({ payment, amount: refundAmount, reason });
+  } catch (error) {
+    await dropPendingRefund(payment, reservation);
+    throw error;
+  }
+
+  if (result.status === 'succeeded') {
+    const applied = await applyRefund(payment, refundAmount, { providerRef: result.providerRef, reason, reservation });
+    if (!applied) {
+      // A webhook recorded the refund first
+      await dropPendingRefund(payment, reservation);
+    }
+  } else {
+    // Asynchronous providers confirm the refund later with a refund.succeeded
+    // webhook, which settles the reservation by its providerRef. If the webhook
+    // came first the refund is recorded and the reservation is dropped.
+    const tagged = await Payment.updateOne(
+      { _id: payment._id, 'pendingRefunds._id': reservation, 'refunds.providerRef': { $ne: result.providerRef } },
+      { $set: { 'pendingRefunds.$.providerRef': result.providerRef } }
+    );
+    if (tagged.matchedCount === 0) {
+      await dropPendingRefund(payment, reservation);
+    }
+  }
+
+  return Payment.findById(payment._id);
+};
+
+// Verify and apply a webhook. Returns { event, applied }.
+const handleWebhook = async (providerName, { rawBody, headers }) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw paymentError(`Unknown payment provider ${providerName}`, 404);
+  }
+
+  const event = provider.verifyWebhook({ rawBody, headers });
+
+  const payment = await Payment.findOne({ provider: provider.name, providerRef: event.providerRef });
+  if (!payment) {
+    throw paymentError(`Payment ${event.providerRef} not found`, 404);
+  }
+
+  let updated = null;
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      updated = await setPaymentStatus(payment, 'paid', { eventId: event.id });
+      break;
+    case 'payment.failed':
+      updated = await setPaymentStatus(payment, 'failed', { eventId: event.id });
+      break;
+    case 'refund.succeeded':
+      updated = await applyRefund(payment, event.amount, {
+        providerRef: event.refundRef || event.id,
+        reason: 'Provider refund',
+        eventId: event.id
+      });
+      break;
+    default:
+      logger.info(`Ignoring ${provider.name} webhook event type ${event.type}`);
+  }
+
+  return { event, applied: Boolean(updated) };
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  findActivePayment,
+  createPayment,
+  setPaymentStatus,
+  applyRefund,
+  capturePayment,
+  refundOrder,
+  handleWebhook
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const paymentsConfig = require('../../config/payments');
+
+// Local card processor for development and offline testing. Intents are
+// made up locally and webhooks are signed like Stripe's:
+//   X-Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// using MOCK_CARD_WEBHOOK_SECRET. Event bodies look like
+//   { "id": "evt_1", "type": "payment.succeeded", "data": { "intentId": "mock_pi_..." } }
+
+const sign = (timestamp, rawBody) => crypto
+  .createHmac('sha256', paymentsConfig.mockCardWebhookSecret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+const webhookError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const mockCard = {
+  name: 'mock_card',
+  label: 'Card (test mode)',
+
+  async createIntent() {
+    const providerRef = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      providerRef,
+      clientSecret: `${providerRef}_secret_${crypto.randomBytes(12).toString('hex')}`
+    };
+  },
+
+  async capture() {
+    return { status: 'paid' };
+  },
+
+  async refund() {
+    return {
+      providerRef: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'succeeded'
+    };
+  },
+
+  verifyWebhook({ rawBody, headers }) {
+    const header = headers['x-mock-signature'];
+    if (!header || !rawBody) {
+      throw webhookError('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      throw webhookError('Malformed webhook signature');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > paymentsConfig.webhookToleranceSeconds) {
+      throw webhookError('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw webhookError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+
+    if (!event.id || !event.type || !event.data || !event.data.intentId) {
+      throw webhookError('Malformed webhook event');
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      providerRef: event.data.intentId,
+      refundRef: event.data.refundId,
+      amount: event.data.amount
+    };
+  },
+
+  // Build a signature header for a payload, for local testing
+  signWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${sign(timestamp, rawBody)}`;
+  }
+};
+
+module.exports = mockCard;
@@ -0,0 +1,96 @@
+// Minimal PDF writer for simple text documents (invoices). Supports A4 pages,
+// the built-in Helvetica and Helvetica-Bold fonts and straight lines, which is
+// all we need without pulling in a PDF library. Coordinates are in points
+// from the top-left corner.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Helvetica glyph widths (per 1000 units) for characters we right-align;
+// anything else is measured with an average width
+const GLYPH_WIDTHS = {
+  ' ': 278, '.': 278, ',': 278, '-': 333, '%': 889, '@': 1015, ':': 278,
+  '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556
+};
+const AVERAGE_WIDTH = 556;
+
+// Width of a string in points
+const textWidth = (text, size) => String(text)
+  .split('')
+  .reduce((width, char) => width + (GLYPH_WIDTHS[char] || AVERAGE_WIDTH), 0) * size / 1000;
+
+// Escape a string for a PDF literal; characters outside Latin-1 become "?"
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const createPdf = () => {
+  const pages = [];
+  let current = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    // Draw text; align "right" treats x as the right edge
+    text(x, y, text, { size = 10, bold = false, align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(text, size) : x;
+      current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current.push(`${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+      return doc;
+    },
+
+    textWidth,
+
+    toBuffer() {
+      const objects = [];
+      const fontIds = [3, 4];
+      const pageIds = pages.map((page, index) => 5 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[fontIds[0]] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[fontIds[1]] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const content = page.join('\n');
+
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${fontIds[0]} 0 R /F2 ${fontIds[1]} 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+      });
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc.addPage();
+};
+
+module.exports = { createPdf };
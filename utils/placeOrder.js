@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Accessory = require('../models/Accessory');
+const Address = require('../models/Address');
+const ordersConfig = require('../config/orders');
+const logger = require('./logger');
+const { reserveStock, releaseStock } = require('./inventory');
+const { resolveVariant, variantPrice } = require('./variants');
+const { getProvider, listProviders } = require('./payments');
+const {
+  roundMoney,
+  evaluateCoupon,
+  claimCoupon,
+  unclaimCoupon
+} = require('./coupons');
+
+// Models an order or cart line can point at
+const ITEM_MODELS = {
+  Product,
+  Accessory
+};
+
+// Build an error carrying the HTTP status the controllers should respond with
+const orderError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Validate requested lines and price them from the catalog.
+// Returns { lines, subtotal }; lines carry the snapshot fields stored on the order
+// and the product category id for coupon scoping.
+const priceOrderLines = async (products) => {
+  if (!products || !Array.isArray(products) || products.length === 0) {
+    logger.warn('Products array missing or empty');
+    throw orderError('Please provide products array', 400);
+  }
+
+  let subtotal = 0;
+  const lines = [];
+
+  for (const item of products) {
+    const itemType = item.itemType || 'Product';
+    const Model = ITEM_MODELS[itemType];
+
+    if (!Model) {
+      logger.warn(`Invalid item type: ${itemType}`);
+      throw orderError(`Invalid item type ${itemType}`, 400);
+    }
+
+    const product = await Model.findById(item.product);
+    if (!product) {
+      logger.warn(`${itemType} not found: ${item.product}`);
+      throw orderError(`${itemType} with id ${item.product} not found`, 404);
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      logger.warn(`Invalid quantity for product ${item.product}: ${item.quantity}`);
+      throw orderError('Product quantity must be a whole number of at least 1', 400);
+    }
+
+    // Products are ordered by variant (id or SKU); accessories have none
+    const variant = itemType === 'Product' ? resolveVariant(product, item.variant) : null;
+    const price = variantPrice(product, variant);
+
+    lines.push({
+      itemType,
+      product: product._id,
+      name: product.name,
+      image: variant && variant.images.length > 0 ? variant.images[0].url : product.image,
+      category: product.category,
+      quantity: item.quantity,
+      price,
+      ...(variant && {
+        variant: variant._id,
+        sku: variant.sku,
+        size: variant.size,
+        options: Object.fromEntries(variant.options || [])
+      })
+    });
+
+    subtotal += price * item.quantity;
+  }
+
+  return { lines, subtotal: roundMoney(subtotal) };
+};
+
+// Flat shipping fee, waived once the subtotal reaches the free shipping threshold
+const shippingFeeFor = (subtotal) => (
+  ordersConfig.freeShippingThreshold !== null && subtotal >= ordersConfig.freeShippingThreshold
+    ? 0
+    : ordersConfig.shippingFee
+);
+
+// Price lines, shipping and an optional coupon.
+// Returns { lines, subtotal, shippingFee, discounts, discountTotal, totalAmount };
+// each line has the discount allocated to it.
+const priceOrder = async ({ user, products, couponCode }) => {
+  const { lines, subtotal } = await priceOrderLines(products);
+  const shippingFee = shippingFeeFor(subtotal);
+  const discounts = [];
+
+  lines.forEach(line => {
+    line.discount = 0;
+  });
+
+  if (couponCode) {
+    const discount = await evaluateCoupon(couponCode, { user, lines, subtotal, shippingFee });
+
+    discount.lines.forEach(({ index, amount }) => {
+      lines[index].discount = roundMoney(lines[index].discount + amount);
+    });
+    delete discount.lines;
+
+    discounts.push(discount);
+  }
+
+  const discountTotal = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  return {
+    lines,
+    subtotal,
+    shippingFee,
+    discounts,
+    discountTotal,
+    totalAmount: roundMoney(Math.max(subtotal + shippingFee - discountTotal, 0))
+  };
+};
+
+// Validate an order request, price it from the catalog, apply a coupon,
+// reserve stock and create the order. Shared by POST /api/orders/add and
+// cart checkout. Throws errors with a statusCode on invalid input.
+const placeOrder = async ({ user, products, shippingAddress, paymentMethod, couponCode, idempotencyKey, idempotencyHash }) => {
+  if (!shippingAddress) {
+    logger.warn('Shipping address missing');
+    throw orderError('Please provide shipping address', 400);
+  }
+
+  if (!paymentMethod) {
+    logger.warn('Payment method missing');
+    throw orderError('Please provide payment method', 400);
+  }
+
+  // paymentMethod names the payment provider
+  const trimmedPaymentMethod = String(paymentMethod).trim();
+
+  if (!getProvider(trimmedPaymentMethod)) {
+    logger.warn(`Unsupported payment method: ${trimmedPaymentMethod}`);
+    const accepted = listProviders().map(provider => provider.name).join(', ');
+    throw orderError(`Unsupported payment method. Use one of: ${accepted}`, 400);
+  }
+
+  // Validate shipping address exists and belongs to the user
+  const address = await Address.findOne({ _id: shippingAddress, user: user._id });
+
+  if (!address) {
+    logger.warn(`Shipping address not found: ${shippingAddress}`);
+    throw orderError('Shipping address not found', 404);
+  }
+
+  const pricing = await priceOrder({ user, products, couponCode });
+
+  // Take stock for every line; fails with 409 if anything ran out
+  const reservedProducts = await reserveStock(pricing.lines);
+  const claimedCoupons = [];
+
+  // Coupon uses are claimed for the order before it exists
+  const orderObjectId = new mongoose.Types.ObjectId();
+  let order;
+
+  // Create order with a server-generated order number
+  try {
+    for (const discount of pricing.discounts) {
+      await claimCoupon(discount, { user: user._id, order: orderObjectId });
+      claimedCoupons.push(discount.coupon);
+    }
+
+    order = await Order.create({
+      _id: orderObjectId,
+      orderId: await Order.generateOrderId(),
+      user: user._id,
+      products: reservedProducts,
+      subtotal: pricing.subtotal,
+      shippingFee: pricing.shippingFee,
+      discounts: pricing.discounts,
+      discountTotal: pricing.discountTotal,
+      totalAmount: pricing.totalAmount,
+      shippingAddress,
+      shippingDetails: {
+        countryRegion: address.countryRegion,
+        firstName: address.firstName,
+        lastName: address.lastName,
+        address: address.address,
+        apartmentSuite: address.apartmentSuite,
+        city: address.city,
+        state: address.state,
+        pinCode: address.pinCode,
+        phone: address.phone
+      },
+      paymentMethod: trimmedPaymentMethod,
+      stockStatus: 'reserved',
+      statusHistory: [{ to: 'pending', actor: user._id }],
+      idempotencyKey,
+      idempotencyHash
+    });
+
+  } catch (error) {
+    await releaseStock(reservedProducts);
+    for (const couponId of claimedCoupons) {
+      await unclaimCoupon(couponId, orderObjectId);
+    }
+    throw error;
+  }
+
+  logger.info(`Order created successfully: ${order.orderId} (${order._id})`);
+
+  return order;
+};
+
+module.exports = {
+  placeOrder,
+  priceOrder,
+  ITEM_MODELS
+};
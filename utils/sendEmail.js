@@ -1,75 +1,56 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const emailConfig = require('../config/email');
 
-const sendEmail = async (options) => {
-
-  console.log("hello",options);
-  try {
-    // Try multiple Gmail SMTP configurations
-    const transporterConfigs = [
-      // Configuration 1: Standard with TLS
-      {
-        service: 'gmail',
-        host: 'smtp.gmail.com',
-        port: 587,
-        secure: false,
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-        tls: {
-          rejectUnauthorized: false
-        }
-      },
-      // Configuration 2: SSL
-      {
-        service: 'gmail',
-        host: 'smtp.gmail.com',
-        port: 465,
-        secure: true,
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        }
-      }
-    ];
+let transporter = null;
 
-    let lastError = null;
+// Build the transport configured in config/email.js (created once per process)
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
 
-    // Try each configuration until one works
-    for (const config of transporterConfigs) {
-      try {
-        const transporter = nodemailer.createTransport(config);
-        
-        // Verify connection configuration
-        await transporter.verify();
-        console.log('✅ SMTP connection verified successfully');
+  if (emailConfig.transport === 'json') {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else if (emailConfig.transport === 'smtp') {
+    transporter = nodemailer.createTransport({
+      host: emailConfig.smtp.host,
+      port: emailConfig.smtp.port,
+      secure: emailConfig.smtp.secure,
+      auth: {
+        user: emailConfig.smtp.user,
+        pass: emailConfig.smtp.pass
+      }
+    });
+  } else {
+    throw new Error(`Unknown email transport ${emailConfig.transport}`);
+  }
 
-        const message = {
-          from: `${process.env.EMAIL_FROM_NAME || 'Authentication Service'} <${process.env.EMAIL_USER}>`,
-          to: options.email,
-          subject: options.subject,
-          text: options.message,
-          html: options.html || options.message,
-        };
+  return transporter;
+};
 
-        const result = await transporter.sendMail(message);
-        console.log('✅ Email sent successfully:', result.messageId);
-        return result;
-      } catch (error) {
-        console.warn(`⚠️ Configuration failed:`, error.message);
-        lastError = error;
-        continue; // Try next configuration
-      }
-    }
+// Deliver one message through the configured transport. Throws if delivery
+// fails; callers should queue mail through utils/emailOutbox.js rather than
+// calling this from a request.
+const sendEmail = async (options) => {
+  const message = {
+    from: emailConfig.from,
+    to: options.email,
+    subject: options.subject,
+    text: options.message,
+    html: options.html || options.message
+  };
 
-    // If all configurations failed, throw the last error
-    throw lastError;
+  const result = await getTransporter().sendMail(message);
 
-  } catch (error) {
-    console.error('❌ Email sending failed:', error.message);
-    console.error('Error details:', error);
-    throw error; // Re-throw to be caught by the caller
+  // The JSON transport only serialises the message; keep it in a file
+  if (emailConfig.transport === 'json') {
+    await fs.promises.mkdir(path.dirname(emailConfig.jsonFile), { recursive: true });
+    await fs.promises.appendFile(emailConfig.jsonFile, `${result.message}\n`);
   }
+
+  return result;
 };
 
 // Email templates
@@ -140,6 +121,39 @@ const emailTemplates = {
     };
   },
 
+  emailVerification: (verifyUrl, userName = 'User', expiresInHours = 24) => {
+    return {
+      subject: 'Verify Your Email Address',
+      message: `Thank you for registering. Please verify your email address by opening the following link: ${verifyUrl}\n\nThis link will expire in ${expiresInHours} hours.`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .button { background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; }
+            .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h2>Verify Your Email Address</h2>
+            <p>Hello ${userName},</p>
+            <p>Thank you for creating an account. Please confirm that this is your email address by clicking the button below:</p>
+            <p><a href="${verifyUrl}" class="button">Verify Email</a></p>
+            <p>This link will expire in ${expiresInHours} hours.</p>
+            <p>If you did not create an account, please ignore this email.</p>
+            <div class="footer">
+              <p>This is an automated message, please do not reply to this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
 };
 
 module.exports = { sendEmail, emailTemplates };
@@ -0,0 +1,141 @@
+const SearchSuggestion = require('../models/SearchSuggestion');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { words } = require('./trigrams');
+const searchConfig = require('../config/search');
+const logger = require('./logger');
+
+const { suggest } = searchConfig;
+
+const normalize = (text) => words(text).join(' ');
+
+// The normalized text from each word onwards
+const keysFor = (text) => {
+  const parts = words(text);
+  return parts.map((word, index) => parts.slice(index).join(' '));
+};
+
+const entryFor = (kind, text) => ({
+  kind,
+  text,
+  key: normalize(text),
+  keys: keysFor(text)
+});
+
+// Keeping suggestions current must never fail the catalog change that
+// triggered it, so the helpers below log errors instead of throwing.
+// POST /api/products/search/reindex rebuilds everything.
+const logFailure = (action) => (error) => {
+  logger.error(`Failed to ${action} search suggestion`, error);
+};
+
+// Add or refresh the suggestion for a product's name
+const syncProductSuggestion = (product) => SearchSuggestion.updateOne(
+  { kind: 'product', ref: product._id },
+  { $set: { ...entryFor('product', product.name), image: product.image } },
+  { upsert: true }
+).catch(logFailure('update product'));
+
+const removeProductSuggestion = (productId) => SearchSuggestion.deleteOne({ kind: 'product', ref: productId })
+  .catch(logFailure('remove product'));
+
+// Add or refresh the suggestion for a category's title
+const syncCategorySuggestion = (category) => SearchSuggestion.updateOne(
+  { kind: 'category', ref: category._id },
+  { $set: { ...entryFor('category', category.title), image: category.imageUrl } },
+  { upsert: true }
+).catch(logFailure('update category'));
+
+const removeCategorySuggestion = (categoryId) => SearchSuggestion.deleteOne({ kind: 'category', ref: categoryId })
+  .catch(logFailure('remove category'));
+
+// Count a search that found results, so popular queries can be suggested
+const recordSearchQuery = (q) => {
+  const key = normalize(q);
+
+  if (key.length < suggest.minQueryLength || key.length > searchConfig.maxQueryLength) {
+    return Promise.resolve();
+  }
+
+  return SearchSuggestion.updateOne(
+    { kind: 'query', key },
+    {
+      $set: { text: key, keys: keysFor(key), lastSearchedAt: new Date() },
+      $inc: { count: 1 }
+    },
+    { upsert: true }
+  ).catch(logFailure('record query'));
+};
+
+// Suggestions for what the user has typed so far:
+// { products: [{ id, name, image }], categories: [{ id, title, image }], queries: [{ query, count }] }
+const getSuggestions = async (q) => {
+  const prefix = normalize(q);
+  const empty = { products: [], categories: [], queries: [] };
+
+  if (!prefix) {
+    return empty;
+  }
+
+  // Normalized text is only [a-z0-9 ], so it is safe inside the pattern
+  const keys = { $regex: `^${prefix}` };
+  const lookup = (filter, sort) => SearchSuggestion.find(filter)
+    .sort(sort)
+    .limit(suggest.limit)
+    .select('text ref image count')
+    .maxTimeMS(suggest.maxTimeMs)
+    .lean();
+
+  let products, categories, queries;
+  try {
+    [products, categories, queries] = await Promise.all([
+      lookup({ kind: 'product', keys }, { key: 1 }),
+      lookup({ kind: 'category', keys }, { key: 1 }),
+      lookup({ kind: 'query', keys, count: { $gte: suggest.minQueryCount } }, { count: -1 })
+    ]);
+  } catch (error) {
+    // Over the time budget: no suggestions are better than slow ones
+    if (error.code === 50) {
+      logger.warn(`Suggestions for "${prefix}" exceeded ${suggest.maxTimeMs}ms`);
+      return empty;
+    }
+    throw error;
+  }
+
+  return {
+    products: products.map(entry => ({ id: entry.ref, name: entry.text, image: entry.image })),
+    categories: categories.map(entry => ({ id: entry.ref, title: entry.text, image: entry.image })),
+    queries: queries.map(entry => ({ query: entry.text, count: entry.count }))
+  };
+};
+
+// Rebuild product and category suggestions from scratch (popular queries
+// are kept). Returns the number of entries written.
+const rebuildSuggestions = async () => {
+  const [products, categories] = await Promise.all([
+    Product.find().select('name image').lean(),
+    Category.find().select('title imageUrl').lean()
+  ]);
+
+  const entries = [
+    ...products.map(product => ({ ...entryFor('product', product.name), ref: product._id, image: product.image })),
+    ...categories.map(category => ({ ...entryFor('category', category.title), ref: category._id, image: category.imageUrl }))
+  ];
+
+  await SearchSuggestion.deleteMany({ kind: { $in: ['product', 'category'] } });
+  if (entries.length > 0) {
+    await SearchSuggestion.insertMany(entries, { ordered: false });
+  }
+
+  return entries.length;
+};
+
+module.exports = {
+  getSuggestions,
+  syncProductSuggestion,
+  removeProductSuggestion,
+  syncCategorySuggestion,
+  removeCategorySuggestion,
+  recordSearchQuery,
+  rebuildSuggestions
+};
@@ -0,0 +1,28 @@
+// Trigrams for typo tolerant matching (the same scheme as PostgreSQL's
+// pg_trgm): each word is lowercased, stripped of accents and padded with two
+// spaces in front and one behind, then split into every run of 3 characters.
+// "jogers" and "joggers" share 6 of the 7 trigrams of "jogers".
+
+// Lowercase words without accents or punctuation
+const words = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Unique trigrams of all words in the given text(s)
+const trigrams = (...texts) => {
+  const grams = new Set();
+
+  for (const word of texts.flatMap(words)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+
+  return [...grams];
+};
+
+module.exports = { words, trigrams };
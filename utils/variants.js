@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const logger = require('./logger');
+
+// Product variants: every product is sold as one or more variants, each with
+// its own SKU, size, option values (e.g. { color: 'Black' }), optional price
+// override, stock and images. Orders and cart lines point at a variant.
+
+const variantError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeSku = (sku) => String(sku).trim().toUpperCase();
+
+// SKU given to variants created from a bare size (legacy forms and migrated
+// products). The product id keeps it unique across the catalog.
+const defaultSku = (productId, size) => normalizeSku(
+  [productId, size].filter(Boolean).join('-').replace(/[^a-zA-Z0-9-]+/g, '-')
+);
+
+// Price charged for a variant: its override, else the product price
+const variantPrice = (product, variant) => (
+  variant && typeof variant.price === 'number' ? variant.price : product.price
+);
+
+// A single variant for products created with just a size (and stock)
+const singleVariant = (productId, { size, stock = null, lowStockThreshold = null }) => ({
+  sku: defaultSku(productId, size),
+  size,
+  stock,
+  lowStockThreshold,
+  images: []
+});
+
+// Fields of a variant a request may set, besides its images
+const VARIANT_FIELDS = ['sku', 'size', 'options', 'price', 'stock', 'lowStockThreshold'];
+
+// Statuses of orders still in progress, whose lines must keep their variant
+const OPEN_ORDER_STATUSES = Object.keys(Order.STATUS_TRANSITIONS)
+  .filter(status => Order.STATUS_TRANSITIONS[status].length > 0);
+
+const toImages = (images) => images.map(image => (
+  typeof image === 'string' ? { id: crypto.randomUUID(), url: image } : image
+));
+
+// Validate variants from a request body: an array, or a JSON string in
+// multipart forms. Returns the variants as sent, with normalized SKUs.
+const readVariants = (raw) => {
+  let variants = raw;
+
+  if (typeof raw === 'string') {
+    try {
+      variants = JSON.parse(raw);
+    } catch (error) {
+      throw variantError('variants must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(variants) || variants.length === 0) {
+    throw variantError('Please provide at least one variant');
+  }
+
+  const seen = new Set();
+
+  return variants.map((input, index) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw variantError(`Variant ${index + 1} must be an object`);
+    }
+
+    if (typeof input.sku !== 'string' || input.sku.trim() === '') {
+      throw variantError(`Variant ${index + 1} needs a SKU`);
+    }
+
+    const sku = normalizeSku(input.sku);
+    if (seen.has(sku)) {
+      throw variantError(`SKU ${sku} is used by more than one variant`);
+    }
+    seen.add(sku);
+
+    const { options } = input;
+    if (options !== undefined && (!options || typeof options !== 'object' || Array.isArray(options) ||
+        Object.values(options).some(value => typeof value !== 'string'))) {
+      throw variantError(`Options of variant ${sku} must map option names to text values`);
+    }
+
+    if (input.images !== undefined && !Array.isArray(input.images)) {
+      throw variantError(`Images of variant ${sku} must be an array`);
+    }
+
+    return { ...input, sku };
+  });
+};
+
+// A new variant from validated input
+const newVariant = (input) => ({
+  sku: input.sku,
+  size: input.size,
+  options: input.options || {},
+  price: input.price !== undefined ? input.price : null,
+  stock: input.stock !== undefined ? input.stock : null,
+  lowStockThreshold: input.lowStockThreshold !== undefined ? input.lowStockThreshold : null,
+  images: toImages(input.images || [])
+});
+
+// Variants for a new product from a request body
+const parseVariants = (raw) => readVariants(raw).map(newVariant);
+
+// Plan an update of a product's variants from a request body listing every
+// variant the product keeps. Listed variants matching an existing one by _id
+// or SKU change only the fields sent, so stock that orders take meanwhile is
+// never written back; the others are added, and unlisted variants removed.
+// Changed and added variants have a SKU and an images array that uploads for
+// them can be added to before saveVariantUpdate applies the plan.
+const planVariantUpdate = (existing, raw) => {
+  const changed = [];
+  const added = [];
+
+  for (const input of readVariants(raw)) {
+    const current = existing.find(variant => (
+      (input._id && variant._id.toString() === String(input._id)) || variant.sku === input.sku
+    ));
+
+    if (!current) {
+      added.push(newVariant(input));
+      continue;
+    }
+    if (changed.some(variant => variant._id.equals(current._id))) {
+      throw variantError(`Variant ${current.sku} is listed more than once`);
+    }
+
+    const fields = {};
+    for (const field of VARIANT_FIELDS) {
+      if (input[field] !== undefined) {
+        fields[field] = input[field];
+      }
+    }
+
+    // Images sent replace the variant's images; uploads alone are added to them
+    changed.push({
+      _id: current._id,
+      sku: input.sku,
+      fields,
+      replaceImages: input.images !== undefined,
+      images: toImages(input.images || [])
+    });
+  }
+
+  return {
+    changed,
+    added,
+    removed: existing.filter(variant => !changed.some(kept => kept._id.equals(variant._id)))
+  };
+};
+
+// Throw a 409 error if open orders or carts still point at any of the variants
+const checkVariantsRemovable = async (productId, variants) => {
+  if (variants.length === 0) {
+    return;
+  }
+
+  const ids = variants.map(variant => variant._id);
+  const inOrder = await Order.exists({
+    status: { $in: OPEN_ORDER_STATUSES },
+    products: { $elemMatch: { product: productId, variant: { $in: ids } } }
+  });
+  const inCart = await Cart.exists({ items: { $elemMatch: { item: productId, variant: { $in: ids } } } });
+
+  if (inOrder || inCart) {
+    const skus = variants.map(variant => variant.sku).join(', ');
+    throw variantError(`Variants ${skus} cannot be removed while open orders or carts include them`, 409);
+  }
+};
+
+// Apply a plan from planVariantUpdate to a product, along with the other
+// fields of `update`. Returns the updated product, or null if it is gone.
+const saveVariantUpdate = async (productId, { changed, added, removed }, update = {}) => {
+  const $set = {};
+  const $push = {};
+  const arrayFilters = [];
+
+  changed.forEach((variant, index) => {
+    const name = `v${index}`;
+
+    for (const [field, value] of Object.entries(variant.fields)) {
+      $set[`variants.$[${name}].${field}`] = value;
+    }
+    if (variant.replaceImages) {
+      $set[`variants.$[${name}].images`] = variant.images;
+    } else if (variant.images.length > 0) {
+      $push[`variants.$[${name}].images`] = { $each: variant.images };
+    }
+    arrayFilters.push({ [`${name}._id`]: variant._id });
+  });
+
+  const options = { new: true, runValidators: true };
+  let product = await Product.findByIdAndUpdate(productId, {
+    ...update,
+    $set,
+    ...(Object.keys($push).length > 0 && { $push })
+  }, { ...options, arrayFilters });
+
+  // Add new variants before removing old ones, so the product always has one
+  if (product && added.length > 0) {
+    product = await Product.findByIdAndUpdate(productId, { $push: { variants: { $each: added } } }, options);
+  }
+
+  if (product && removed.length > 0) {
+    product = await Product.findByIdAndUpdate(
+      productId,
+      { $pull: { variants: { _id: { $in: removed.map(variant => variant._id) } } } },
+      options
+    );
+  }
+
+  return product;
+};
+
+// Update for size/stock fields sent without variants (older admin forms),
+// applied to the product's only variant. Returns the $set fields.
+const singleVariantUpdate = (product, fields) => {
+  const set = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      set[`variants.0.${field}`] = value;
+    }
+  }
+
+  if (Object.keys(set).length > 0 && product.variants.length !== 1) {
+    throw variantError('This product has several variants; update them with the variants field');
+  }
+
+  return set;
+};
+
+// The variant of a product that `ref` (variant id or SKU) names, or null.
+// Without a ref, a product with exactly one variant means that variant.
+const findVariant = (product, ref) => {
+  const variants = product.variants || [];
+
+  if (ref === undefined || ref === null || ref === '') {
+    return variants.length === 1 ? variants[0] : null;
+  }
+
+  const value = String(ref);
+  return variants.find(variant => variant._id.toString() === value || variant.sku === normalizeSku(value)) || null;
+};
+
+// Like findVariant, but throws an error with a statusCode when there is no match
+const resolveVariant = (product, ref) => {
+  const variant = findVariant(product, ref);
+
+  if (variant) {
+    return variant;
+  }
+  if (!product.variants || product.variants.length === 0) {
+    throw variantError(`${product.name} is not available`, 409);
+  }
+  if (ref === undefined || ref === null || ref === '') {
+    throw variantError(`Please choose a variant of ${product.name}`);
+  }
+  throw variantError(`${product.name} has no variant ${ref}`, 404);
+};
+
+// Move products created before variants (size, stock and low stock threshold
+// on the product itself) into a single variant and point their order and
+// cart lines at it, then fill in priceFrom where missing. Runs at startup
+// and from POST /api/products/migrate; products already migrated are
+// skipped. Returns the number of products migrated.
+const migrateProductVariants = async () => {
+  const unmigrated = { $or: [{ variants: { $exists: false } }, { variants: { $size: 0 } }] };
+  const cursor = Product.collection.find(unmigrated, { projection: { size: 1 } });
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    const variantId = new mongoose.Types.ObjectId();
+    const sku = defaultSku(doc._id, doc.size);
+
+    // Copies stock inside the update, so nothing taken meanwhile is lost
+    const result = await Product.collection.updateOne({ _id: doc._id, ...unmigrated }, [
+      {
+        $set: {
+          variants: [{
+            _id: variantId,
+            sku,
+            size: '$size',
+            options: { $literal: {} },
+            price: null,
+            stock: { $ifNull: ['$stock', null] },
+            lowStockThreshold: { $ifNull: ['$lowStockThreshold', null] },
+            images: []
+          }]
+        }
+      },
+      { $unset: ['size', 'stock', 'lowStockThreshold'] }
+    ]);
+
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    await Order.updateMany(
+      { 'products.product': doc._id },
+      { $set: { 'products.$[line].variant': variantId, 'products.$[line].sku': sku } },
+      { arrayFilters: [{ 'line.product': doc._id, 'line.variant': { $exists: false } }] }
+    );
+    await Cart.updateMany(
+      { 'items.item': doc._id },
+      { $set: { 'items.$[line].variant': variantId } },
+      { arrayFilters: [{ 'line.item': doc._id, 'line.variant': { $exists: false } }] }
+    );
+
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    logger.info(`Migrated ${migrated} products to variants`);
+  }
+
+  // Products written before priceFrom (and those just migrated, which skipped the hooks)
+  await Product.syncPriceFrom({ priceFrom: { $exists: false } });
+
+  return migrated;
+};
+
+module.exports = {
+  defaultSku,
+  variantPrice,
+  singleVariant,
+  parseVariants,
+  planVariantUpdate,
+  checkVariantsRemovable,
+  saveVariantUpdate,
+  singleVariantUpdate,
+  findVariant,
+  resolveVariant,
+  migrateProductVariants
+};